@@ -0,0 +1,184 @@
+/**
+ * 首右plus 声音反馈模块
+ * 音效用 Web Audio API 现场合成（不下载任何音频文件），字根名称用系统语音合成朗读
+ * 两者默认关闭，设置随练习数据保存在 settings.audio 中
+ */
+
+// 音效：由若干个音符组成，每个音符为 { freq, start, duration, type }（频率 Hz，时间单位秒）
+const SOUND_CUES = {
+    // 答对：短促的高音
+    correct: [
+        { freq: 880, start: 0, duration: 0.08, type: 'sine' },
+        { freq: 1320, start: 0.06, duration: 0.1, type: 'sine' }
+    ],
+    // 答错：两声低音
+    wrong: [
+        { freq: 196, start: 0, duration: 0.12, type: 'triangle' },
+        { freq: 165, start: 0.14, duration: 0.16, type: 'triangle' }
+    ],
+    // 连击里程碑：上行琶音，接在答对音效之后
+    combo: [
+        { freq: 523, start: 0.15, duration: 0.1, type: 'sine' },
+        { freq: 659, start: 0.24, duration: 0.1, type: 'sine' },
+        { freq: 784, start: 0.33, duration: 0.1, type: 'sine' },
+        { freq: 1047, start: 0.42, duration: 0.22, type: 'sine' }
+    ]
+};
+
+// 默认声音设置
+const DEFAULT_AUDIO_SETTINGS = {
+    sound: false,   // 是否播放音效
+    speech: false,  // 是否朗读字根名称
+    volume: 0.6,    // 音量 0-1（音效和朗读共用）
+    voice: ''       // 朗读语音的 voiceURI，空为系统默认中文语音
+};
+
+// 朗读语言
+const SPEECH_LANG = 'zh-CN';
+
+class AudioFeedback {
+    constructor() {
+        this.settings = { ...DEFAULT_AUDIO_SETTINGS };
+
+        // 音频上下文（首次播放时创建，浏览器要求在用户操作之后）
+        this.context = null;
+    }
+
+    /**
+     * 是否支持音效
+     */
+    isSoundSupported() {
+        return Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * 是否支持朗读
+     */
+    isSpeechSupported() {
+        return Boolean(window.speechSynthesis && window.SpeechSynthesisUtterance);
+    }
+
+    /**
+     * 获取音频上下文
+     */
+    getContext() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this.context;
+    }
+
+    /**
+     * 播放音效
+     * @param {string} cue - 音效名称（见 SOUND_CUES）
+     */
+    play(cue) {
+        const notes = SOUND_CUES[cue];
+        if (!notes || !this.settings.sound || this.settings.volume <= 0 || !this.isSoundSupported()) return;
+
+        const context = this.getContext();
+        const now = context.currentTime;
+        const peak = this.settings.volume * 0.3;
+
+        for (const note of notes) {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const start = now + note.start;
+            const end = start + note.duration;
+
+            oscillator.type = note.type;
+            oscillator.frequency.setValueAtTime(note.freq, start);
+
+            // 快速起音、指数衰减，避免爆音
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(peak, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(end + 0.02);
+        }
+    }
+
+    /**
+     * 获取可用的朗读语音（优先中文语音，没有中文语音时返回全部）
+     * @returns {Array<SpeechSynthesisVoice>}
+     */
+    getVoices() {
+        if (!this.isSpeechSupported()) return [];
+
+        const voices = window.speechSynthesis.getVoices();
+        const chinese = voices.filter(voice => voice.lang.replace('_', '-').startsWith('zh'));
+        return chinese.length > 0 ? chinese : voices;
+    }
+
+    /**
+     * 朗读文字（打断上一次还没读完的朗读）
+     * @param {string} text - 朗读的文字
+     */
+    speak(text) {
+        if (!text || !this.settings.speech || this.settings.volume <= 0 || !this.isSpeechSupported()) return;
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = SPEECH_LANG;
+        utterance.volume = this.settings.volume;
+        const voice = this.getVoices().find(v => v.voiceURI === this.settings.voice);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    }
+
+    /**
+     * 修改声音设置
+     * @param {Object} changes - 要修改的设置项
+     */
+    update(changes) {
+        this.settings = this.normalize({ ...this.settings, ...changes });
+        if (!this.settings.speech && this.isSpeechSupported()) {
+            window.speechSynthesis.cancel();
+        }
+    }
+
+    /**
+     * 校正声音设置：缺少或类型不对的项使用默认值，音量限制在 0-1
+     * @param {Object} settings - 声音设置
+     */
+    normalize(settings) {
+        const result = { ...DEFAULT_AUDIO_SETTINGS };
+        if (!settings || typeof settings !== 'object') return result;
+
+        if (typeof settings.sound === 'boolean') result.sound = settings.sound;
+        if (typeof settings.speech === 'boolean') result.speech = settings.speech;
+        if (Number.isFinite(settings.volume)) result.volume = Math.min(1, Math.max(0, settings.volume));
+        if (typeof settings.voice === 'string') result.voice = settings.voice;
+        return result;
+    }
+
+    /**
+     * 从存储恢复声音设置
+     * @param {Object} settings - 声音设置
+     */
+    restore(settings) {
+        this.settings = this.normalize(settings);
+    }
+
+    /**
+     * 获取声音设置（用于存储）
+     */
+    getData() {
+        return { ...this.settings };
+    }
+}
+
+// 导出（全局变量方式）
+window.AudioFeedback = AudioFeedback;
+window.DEFAULT_AUDIO_SETTINGS = DEFAULT_AUDIO_SETTINGS;
@@ -0,0 +1,223 @@
+/**
+ * 首右plus 限时挑战模块
+ * 在限定时间内作答，答对按连击倍数计分，答错和显示答案扣分；
+ * 每个方案、练习模式、时长和出题范围分别保留个人最好成绩
+ */
+
+// 预设的挑战时长（秒）
+const CHALLENGE_DURATIONS = [60, 120];
+
+// 自定义时长的范围（秒）
+const CHALLENGE_MIN_SECONDS = 10;
+const CHALLENGE_MAX_SECONDS = 600;
+
+// 计分：答对的基础分，答错和显示答案的扣分
+const CHALLENGE_BASE_POINTS = 10;
+const CHALLENGE_WRONG_PENALTY = 5;
+const CHALLENGE_REVEAL_PENALTY = 3;
+
+// 每个排行榜保留的成绩数
+const LEADERBOARD_SIZE = 5;
+
+// 出题范围为全部字根时的范围ID（这时榜单键不带范围，与旧版成绩兼容）
+const FULL_CHALLENGE_POOL = 'all';
+
+/**
+ * 连击倍数：每 10 连击增加 0.5 倍
+ * @param {number} combo - 当前连击数
+ */
+function getComboMultiplier(combo) {
+    return 1 + Math.floor(combo / 10) * 0.5;
+}
+
+/**
+ * 一次限时挑战
+ */
+class TimedChallenge {
+    /**
+     * @param {Object} options - { mode, schemeId, seconds, pool }
+     *   pool 为出题范围 { id, name }（练习范围与分组解锁），不指定时为全部字根
+     */
+    constructor({ mode, schemeId, seconds, pool = { id: FULL_CHALLENGE_POOL, name: '' } }) {
+        this.mode = mode;
+        this.schemeId = schemeId;
+        this.seconds = seconds;
+        this.pool = pool;
+
+        this.score = 0;
+        this.correct = 0;
+        this.wrong = 0;
+        this.reveals = 0;
+        this.maxCombo = 0;
+        this.startedAt = null;
+    }
+
+    /**
+     * 开始计时
+     * @param {number} [now] - 当前时间（performance.now()）
+     */
+    start(now = performance.now()) {
+        this.startedAt = now;
+    }
+
+    /**
+     * 剩余时间（毫秒）
+     * @param {number} [now] - 当前时间（performance.now()）
+     */
+    getRemainingMs(now = performance.now()) {
+        if (this.startedAt === null) return this.seconds * 1000;
+        return Math.max(0, this.seconds * 1000 - (now - this.startedAt));
+    }
+
+    /**
+     * 是否已到时间
+     * @param {number} [now] - 当前时间（performance.now()）
+     */
+    isOver(now = performance.now()) {
+        return this.getRemainingMs(now) === 0;
+    }
+
+    /**
+     * 记录一次答对
+     * 看过答案后才答对不得分
+     * @param {number} combo - 答对后的连击数
+     * @param {boolean} revealed - 是否看过答案
+     * @returns {number} 本次得分
+     */
+    recordCorrect(combo, revealed = false) {
+        if (revealed) return 0;
+
+        const points = Math.round(CHALLENGE_BASE_POINTS * getComboMultiplier(combo));
+        this.score += points;
+        this.correct++;
+        this.maxCombo = Math.max(this.maxCombo, combo);
+        return points;
+    }
+
+    /**
+     * 记录一次答错
+     */
+    recordWrong() {
+        this.wrong++;
+        this.score = Math.max(0, this.score - CHALLENGE_WRONG_PENALTY);
+    }
+
+    /**
+     * 记录一次显示答案
+     */
+    recordReveal() {
+        this.reveals++;
+        this.score = Math.max(0, this.score - CHALLENGE_REVEAL_PENALTY);
+    }
+
+    /**
+     * 挑战结果（用于结果页和排行榜）
+     */
+    getResult() {
+        const attempts = this.correct + this.wrong;
+        return {
+            score: this.score,
+            correct: this.correct,
+            wrong: this.wrong,
+            reveals: this.reveals,
+            maxCombo: this.maxCombo,
+            accuracy: attempts > 0 ? this.correct / attempts : null,
+            mode: this.mode,
+            schemeId: this.schemeId,
+            seconds: this.seconds,
+            pool: this.pool.id,
+            poolName: this.pool.name,
+            at: Date.now()
+        };
+    }
+}
+
+/**
+ * 个人最好成绩排行榜
+ * 按 方案|模式|时长|出题范围 分榜（全部字根时不带范围），每榜保留 LEADERBOARD_SIZE 个最高分
+ */
+class ChallengeLeaderboard {
+    constructor() {
+        // 榜单键 -> 成绩列表（分数从高到低）
+        this.boards = {};
+    }
+
+    /**
+     * 榜单键
+     * @param {string} schemeId - 方案ID
+     * @param {string} mode - 练习模式
+     * @param {number} seconds - 挑战时长
+     * @param {string} [pool] - 出题范围ID
+     */
+    static key(schemeId, mode, seconds, pool = FULL_CHALLENGE_POOL) {
+        const base = `${schemeId}|${mode}|${seconds}`;
+        return pool === FULL_CHALLENGE_POOL ? base : `${base}|${pool}`;
+    }
+
+    /**
+     * 加入一次挑战成绩
+     * @param {Object} result - TimedChallenge.getResult() 的返回值
+     * @returns {number} 在榜单中的名次（从 1 开始），未进榜为 0
+     */
+    add(result) {
+        const key = ChallengeLeaderboard.key(result.schemeId, result.mode, result.seconds, result.pool);
+        const board = [...(this.boards[key] || []), result]
+            .sort((a, b) => b.score - a.score || a.at - b.at)
+            .slice(0, LEADERBOARD_SIZE);
+        this.boards[key] = board;
+        return board.indexOf(result) + 1;
+    }
+
+    /**
+     * 获取某个榜单
+     * @param {string} schemeId - 方案ID
+     * @param {string} mode - 练习模式
+     * @param {number} seconds - 挑战时长
+     * @param {string} [pool] - 出题范围ID
+     */
+    getBoard(schemeId, mode, seconds, pool) {
+        return this.boards[ChallengeLeaderboard.key(schemeId, mode, seconds, pool)] || [];
+    }
+
+    /**
+     * 清空排行榜
+     */
+    reset() {
+        this.boards = {};
+    }
+
+    /**
+     * 从存储恢复排行榜，跳过格式不正确的记录
+     * @param {Object} boards - 保存的榜单
+     */
+    restore(boards) {
+        if (!boards || typeof boards !== 'object') return;
+
+        for (const [key, board] of Object.entries(boards)) {
+            if (Array.isArray(board)) {
+                this.boards[key] = board
+                    .filter(entry => entry && typeof entry.score === 'number')
+                    .slice(0, LEADERBOARD_SIZE);
+            }
+        }
+    }
+
+    /**
+     * 获取排行榜数据（用于存储）
+     */
+    getData() {
+        const data = {};
+        for (const [key, board] of Object.entries(this.boards)) {
+            data[key] = board.map(entry => ({ ...entry }));
+        }
+        return data;
+    }
+}
+
+// 导出（全局变量方式）
+window.TimedChallenge = TimedChallenge;
+window.ChallengeLeaderboard = ChallengeLeaderboard;
+window.getComboMultiplier = getComboMultiplier;
+window.CHALLENGE_DURATIONS = CHALLENGE_DURATIONS;
+window.FULL_CHALLENGE_POOL = FULL_CHALLENGE_POOL;
+window.LEADERBOARD_SIZE = LEADERBOARD_SIZE;
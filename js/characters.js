@@ -0,0 +1,377 @@
+/**
+ * 首右plus 整字练习模块
+ * 首右编码 = 首字根按键 + 右（末）字根按键
+ * 按键一律由 RADICAL_MAP 推导，保证字根图与练习始终一致
+ */
+
+// 整字拆分数据：字 -> 首字根、末字根
+const CHARACTER_SPLITS = [
+    // 讠
+    { char: '语', first: '讠', last: '口' },
+    { char: '话', first: '讠', last: '口' },
+    { char: '词', first: '讠', last: '口' },
+    { char: '计', first: '讠', last: '十' },
+    { char: '许', first: '讠', last: '十' },
+    { char: '讨', first: '讠', last: '寸' },
+    { char: '诗', first: '讠', last: '寸' },
+    { char: '识', first: '讠', last: '八' },
+    { char: '讥', first: '讠', last: '几' },
+    // 女 / 宀
+    { char: '好', first: '女', last: '子' },
+    { char: '如', first: '女', last: '口' },
+    { char: '始', first: '女', last: '口' },
+    { char: '妇', first: '女', last: '彐' },
+    { char: '安', first: '宀', last: '女' },
+    { char: '字', first: '宀', last: '子' },
+    { char: '守', first: '宀', last: '寸' },
+    { char: '宋', first: '宀', last: '木' },
+    // 日 / 口
+    { char: '明', first: '日', last: '月' },
+    { char: '晴', first: '日', last: '月' },
+    { char: '时', first: '日', last: '寸' },
+    { char: '昌', first: '日', last: '日' },
+    { char: '唱', first: '口', last: '日' },
+    { char: '别', first: '口', last: '刂' },
+    { char: '员', first: '口', last: '贝' },
+    { char: '鸣', first: '口', last: '鸟' },
+    { char: '只', first: '口', last: '八' },
+    { char: '品', first: '口', last: '口' },
+    { char: '叶', first: '口', last: '十' },
+    { char: '吐', first: '口', last: '土' },
+    // 木
+    { char: '林', first: '木', last: '木' },
+    { char: '森', first: '木', last: '木' },
+    { char: '村', first: '木', last: '寸' },
+    { char: '树', first: '木', last: '寸' },
+    { char: '机', first: '木', last: '几' },
+    { char: '相', first: '木', last: '目' },
+    { char: '杜', first: '木', last: '土' },
+    { char: '枯', first: '木', last: '口' },
+    { char: '档', first: '木', last: '彐' },
+    // 氵
+    { char: '河', first: '氵', last: '口' },
+    { char: '活', first: '氵', last: '口' },
+    { char: '治', first: '氵', last: '口' },
+    { char: '沐', first: '氵', last: '木' },
+    { char: '泪', first: '氵', last: '目' },
+    { char: '清', first: '氵', last: '月' },
+    { char: '湖', first: '氵', last: '月' },
+    { char: '汁', first: '氵', last: '十' },
+    // 亻 / 彳
+    { char: '们', first: '亻', last: '门' },
+    { char: '什', first: '亻', last: '十' },
+    { char: '付', first: '亻', last: '寸' },
+    { char: '估', first: '亻', last: '口' },
+    { char: '伙', first: '亻', last: '火' },
+    { char: '佳', first: '亻', last: '土' },
+    { char: '住', first: '亻', last: '王' },
+    { char: '做', first: '亻', last: '攵' },
+    { char: '例', first: '亻', last: '刂' },
+    { char: '往', first: '彳', last: '王' },
+    { char: '得', first: '彳', last: '寸' },
+    // 门
+    { char: '问', first: '门', last: '口' },
+    { char: '间', first: '门', last: '日' },
+    { char: '闲', first: '门', last: '木' },
+    { char: '闰', first: '门', last: '王' },
+    // 忄 / 犭
+    { char: '情', first: '忄', last: '月' },
+    { char: '惜', first: '忄', last: '日' },
+    { char: '悟', first: '忄', last: '口' },
+    { char: '猜', first: '犭', last: '月' },
+    { char: '狗', first: '犭', last: '口' },
+    { char: '猫', first: '犭', last: '田' },
+    { char: '独', first: '犭', last: '虫' },
+    // 禾 / 贝 / 车
+    { char: '和', first: '禾', last: '口' },
+    { char: '秋', first: '禾', last: '火' },
+    { char: '利', first: '禾', last: '刂' },
+    { char: '则', first: '贝', last: '刂' },
+    { char: '败', first: '贝', last: '攵' },
+    { char: '输', first: '车', last: '刂' },
+    // 钅 / 饣 / 月 / 纟
+    { char: '针', first: '钅', last: '十' },
+    { char: '错', first: '钅', last: '日' },
+    { char: '饥', first: '饣', last: '几' },
+    { char: '肌', first: '月', last: '几' },
+    { char: '细', first: '纟', last: '田' },
+    // 田 / 又 / 力
+    { char: '男', first: '田', last: '力' },
+    { char: '劝', first: '又', last: '力' },
+    { char: '对', first: '又', last: '寸' },
+    { char: '鸡', first: '又', last: '鸟' },
+    { char: '加', first: '力', last: '口' },
+    // 扌 / 子
+    { char: '扣', first: '扌', last: '口' },
+    { char: '扫', first: '扌', last: '彐' },
+    { char: '孙', first: '子', last: '小' },
+    // 阝
+    { char: '阳', first: '阝', last: '日' },
+    { char: '阴', first: '阝', last: '月' },
+    { char: '附', first: '阝', last: '寸' },
+    // 火 / 雨
+    { char: '炎', first: '火', last: '火' },
+    { char: '灶', first: '火', last: '土' },
+    { char: '烛', first: '火', last: '虫' },
+    { char: '雪', first: '雨', last: '彐' },
+    { char: '雷', first: '雨', last: '田' },
+    { char: '霜', first: '雨', last: '目' },
+    // 竹 / 艹
+    { char: '答', first: '竹', last: '口' },
+    { char: '简', first: '竹', last: '日' },
+    { char: '苗', first: '艹', last: '田' },
+    { char: '草', first: '艹', last: '十' },
+    { char: '苦', first: '艹', last: '口' },
+    { char: '菜', first: '艹', last: '木' },
+    { char: '萌', first: '艹', last: '月' },
+    // 山 / 弓 / 广 / 小
+    { char: '岩', first: '山', last: '石' },
+    { char: '强', first: '弓', last: '虫' },
+    { char: '弘', first: '弓', last: '厶' },
+    { char: '店', first: '广', last: '口' },
+    { char: '床', first: '广', last: '木' },
+    { char: '庄', first: '广', last: '土' },
+    { char: '尖', first: '小', last: '大' },
+    { char: '尘', first: '小', last: '土' },
+    // 西 / ⻊ / 舟
+    { char: '要', first: '西', last: '女' },
+    { char: '路', first: '⻊', last: '口' },
+    { char: '踩', first: '⻊', last: '木' },
+    { char: '船', first: '舟', last: '口' },
+    { char: '般', first: '舟', last: '又' },
+    // 勹 / 八 / 厶 / 尸
+    { char: '句', first: '勹', last: '口' },
+    { char: '公', first: '八', last: '厶' },
+    { char: '台', first: '厶', last: '口' },
+    { char: '屋', first: '尸', last: '土' },
+    { char: '居', first: '尸', last: '口' }
+];
+
+/**
+ * 由 RADICAL_MAP 生成 字根 -> 按键 的反查表
+ * @param {Object} radicalMap - 按键 -> 字根数组
+ */
+function buildRadicalKeyIndex(radicalMap) {
+    const index = {};
+    for (const [key, radicals] of Object.entries(radicalMap)) {
+        for (const radical of radicals) {
+            index[radical] = key;
+        }
+    }
+    return index;
+}
+
+/**
+ * 根据拆分数据与字根表生成整字列表
+ * 字根表中找不到的拆分会被跳过，并汇总给出一条警告
+ * @param {Array} splits - 整字拆分数据
+ * @param {Object} radicalMap - 按键 -> 字根数组
+ */
+function buildCharacterList(splits, radicalMap) {
+    const keyIndex = buildRadicalKeyIndex(radicalMap);
+    const list = [];
+    const skipped = [];
+
+    for (const split of splits) {
+        const firstKey = keyIndex[split.first];
+        const lastKey = keyIndex[split.last];
+        if (!firstKey || !lastKey) {
+            skipped.push(split.char);
+            continue;
+        }
+        list.push({
+            char: split.char,                  // 整字
+            radicals: [split.first, split.last], // 首字根、末字根
+            keys: [firstKey, lastKey],         // 对应的两个按键
+            id: `char_${split.char}`           // 唯一标识
+        });
+    }
+
+    if (skipped.length > 0) {
+        console.warn(`${skipped.length} 个整字的字根不在当前字根表中，已跳过：${skipped.join('')}`);
+    }
+
+    return list;
+}
+
+// 整字列表（按键由 RADICAL_MAP 推导）
+const CHARACTER_LIST = buildCharacterList(CHARACTER_SPLITS, RADICAL_MAP);
+
+// 整字总数
+const TOTAL_CHARACTERS = CHARACTER_LIST.length;
+
+/**
+ * 整字管理器类
+ * 按权重随机选字，答错的字出现频率更高
+ */
+class CharacterManager {
+    constructor() {
+        // 整字学习数据
+        this.characterData = {};
+        CHARACTER_LIST.forEach(c => {
+            this.characterData[c.id] = this.createDefaultData();
+        });
+
+        // 当前方案拆不出的整字的数据，原样保留并在保存时写回（见 RadicalManager.otherRadicalData）
+        this.otherCharacterData = {};
+        this.otherPracticed = [];
+
+        // 上一个整字（避免连续重复）
+        this.lastCharacter = null;
+
+        // 已练习的整字集合
+        this.practicedCharacters = new Set();
+    }
+
+    /**
+     * 单个整字的默认学习数据
+     */
+    createDefaultData() {
+        return {
+            weight: 1,        // 基础权重
+            mastery: 0,       // 熟练度（整字一次打对的连续次数，0-5）
+            wrongCount: 0,    // 总错误次数
+            correctCount: 0   // 总正确次数
+        };
+    }
+
+    /**
+     * 计算整字的选择优先级
+     * 未练习 > 低熟练度 > 高权重
+     */
+    calculatePriority(characterId) {
+        const data = this.characterData[characterId];
+        let priority = 0;
+
+        if (!this.practicedCharacters.has(characterId)) {
+            priority += 50;
+        }
+        priority += (5 - data.mastery) * 10;
+        priority += data.weight * 5;
+        priority += Math.random() * 20;
+
+        return priority;
+    }
+
+    /**
+     * 获取下一个整字
+     */
+    getNextCharacter() {
+        if (CHARACTER_LIST.length === 0) return null;
+
+        const candidates = CHARACTER_LIST
+            .filter(c => c.id !== this.lastCharacter?.id || CHARACTER_LIST.length === 1)
+            .map(c => ({ character: c, priority: this.calculatePriority(c.id) }))
+            .sort((a, b) => b.priority - a.priority);
+
+        const selected = candidates[0].character;
+        this.lastCharacter = selected;
+        return selected;
+    }
+
+    /**
+     * 检查某一键是否正确
+     * @param {string} inputKey - 用户输入的按键
+     * @param {Object} character - 当前整字对象
+     * @param {number} index - 第几键（0 为首字根，1 为末字根）
+     */
+    checkKey(inputKey, character, index) {
+        return inputKey.toUpperCase() === character.keys[index];
+    }
+
+    /**
+     * 整字完成后记录结果
+     * @param {string} characterId - 整字ID
+     * @param {boolean} isClean - 两键是否都一次打对
+     */
+    recordResult(characterId, isClean) {
+        const data = this.characterData[characterId];
+        if (!data) return;
+
+        this.practicedCharacters.add(characterId);
+
+        if (isClean) {
+            data.mastery = Math.min(5, data.mastery + 1);
+            data.weight = Math.max(0.3, data.weight * 0.7);
+            data.correctCount++;
+        } else {
+            data.mastery = 0;
+            data.weight = Math.min(5, data.weight + 1.5);
+            data.wrongCount++;
+        }
+    }
+
+    /**
+     * 获取已练习的整字数量
+     */
+    getPracticedCount() {
+        return this.practicedCharacters.size;
+    }
+
+    /**
+     * 获取整字总数
+     */
+    getTotalCount() {
+        return TOTAL_CHARACTERS;
+    }
+
+    /**
+     * 重置所有数据
+     */
+    reset() {
+        CHARACTER_LIST.forEach(c => {
+            this.characterData[c.id] = this.createDefaultData();
+        });
+        this.practicedCharacters.clear();
+        this.otherCharacterData = {};
+        this.otherPracticed = [];
+        this.lastCharacter = null;
+    }
+
+    /**
+     * 从存储恢复数据
+     * @param {Object} saved - { data, practiced }
+     */
+    restore(saved) {
+        this.otherCharacterData = {};
+        this.otherPracticed = [];
+        if (!saved || typeof saved !== 'object') return;
+
+        if (saved.data && typeof saved.data === 'object') {
+            for (const [id, data] of Object.entries(saved.data)) {
+                if (this.characterData[id]) {
+                    this.characterData[id] = { ...this.characterData[id], ...data };
+                } else {
+                    this.otherCharacterData[id] = data;
+                }
+            }
+        }
+        if (Array.isArray(saved.practiced)) {
+            this.practicedCharacters = new Set(
+                saved.practiced.filter(id => this.characterData[id])
+            );
+            this.otherPracticed = saved.practiced.filter(id => !this.characterData[id]);
+        }
+    }
+
+    /**
+     * 获取当前数据（用于存储）
+     */
+    getData() {
+        const data = { ...this.otherCharacterData };
+        for (const [id, characterData] of Object.entries(this.characterData)) {
+            data[id] = { ...characterData };
+        }
+        return {
+            data,
+            practiced: [...this.otherPracticed, ...this.practicedCharacters]
+        };
+    }
+}
+
+// 导出（全局变量方式）
+window.CharacterManager = CharacterManager;
+window.CHARACTER_SPLITS = CHARACTER_SPLITS;
+window.CHARACTER_LIST = CHARACTER_LIST;
+window.TOTAL_CHARACTERS = TOTAL_CHARACTERS;
+window.buildCharacterList = buildCharacterList;
@@ -0,0 +1,198 @@
+/**
+ * 首右plus 字根图模块
+ * 根据字根方案生成键盘字根图，负责按键高亮、掌握程度热力图和盲练遮挡
+ */
+
+// 字根图模式ID -> 显示名称
+// 参考：作答或看答案后才高亮答案按键；盲练：另外遮住字根，只显示按键位置；
+// 学习：出题时就高亮答案按键，这时的作答不计入掌握度；
+// 反向练习的题目就是按键，字根图打开且不是盲练时作答都不计入掌握度
+const CHART_MODES = {
+    reference: '参考（作答后高亮）',
+    blind: '盲练（遮住字根）',
+    learn: '学习（出题即高亮，不计入掌握度）'
+};
+
+// 默认字根图模式
+const DEFAULT_CHART_MODE = 'reference';
+
+class RadicalChart {
+    /**
+     * @param {HTMLElement} container - 字根图容器（#radical-keyboard）
+     * @param {Object} scheme - 字根方案定义
+     */
+    constructor(container, scheme) {
+        this.container = container;
+        this.scheme = scheme;
+        
+        // 字根ID -> 字根元素
+        this.radicalElements = {};
+        
+        // 字根图模式（见 CHART_MODES）
+        this.mode = DEFAULT_CHART_MODE;
+    }
+
+    /**
+     * 生成整张字根图
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.radicalElements = {};
+        this.scheme.rows.forEach((row, rowIndex) => {
+            const rowEl = document.createElement('div');
+            rowEl.className = 'keyboard-row';
+            // 第二、三行按实体键盘错位
+            if (rowIndex > 0 && rowIndex <= 2) {
+                rowEl.classList.add(`row-offset-${rowIndex}`);
+            }
+
+            for (const key of row) {
+                if (this.scheme.keys[key]) {
+                    rowEl.appendChild(this.renderKey(key));
+                }
+            }
+            this.container.appendChild(rowEl);
+        });
+    }
+
+    /**
+     * 生成单个按键格
+     * 含笔画别名的按键使用笔画键样式；字根多于两个时分两行显示
+     * 读屏软件把按键格当作一张图，朗读按键和各字根的名称
+     * @param {string} key - 按键字符
+     */
+    renderKey(key) {
+        const entries = this.scheme.keys[key].map(normalizeRadicalEntry);
+        const isSpecial = entries.some(entry => this.scheme.strokes[entry.char]);
+        const names = entries.map(entry => getRadicalName({ char: entry.char, stroke: this.scheme.strokes[entry.char] || null }));
+
+        const cell = document.createElement('div');
+        cell.className = isSpecial ? 'key-cell special-key' : 'key-cell';
+        cell.dataset.key = key;
+        cell.setAttribute('role', 'img');
+        cell.dataset.label = `${key} 键：${names.join('、')}`;
+        cell.setAttribute('aria-label', this.mode === 'blind' ? `${key} 键` : cell.dataset.label);
+
+        const letter = document.createElement('span');
+        letter.className = isSpecial ? 'key-letter key-letter-special' : 'key-letter';
+        letter.textContent = key;
+        cell.appendChild(letter);
+
+        const radicals = document.createElement('span');
+        radicals.className = isSpecial ? 'key-radicals key-radicals-special' : 'key-radicals';
+
+        const firstLineCount = entries.length <= 2 ? entries.length : Math.ceil(entries.length / 2);
+        entries.forEach((entry, index) => {
+            if (index === firstLineCount) {
+                radicals.appendChild(document.createElement('br'));
+            }
+            radicals.appendChild(this.renderRadical(key, entry));
+        });
+        cell.appendChild(radicals);
+
+        return cell;
+    }
+
+    /**
+     * 生成单个字根
+     * @param {string} key - 所在按键
+     * @param {Object} entry - { char, color }
+     */
+    renderRadical(key, entry) {
+        const span = document.createElement('span');
+        const radicalId = `${key}_${entry.char}`;
+        span.className = 'key-radical';
+        span.dataset.radicalId = radicalId;
+        span.dataset.char = entry.char;
+        renderGlyph(span, entry.char);
+
+        if (SCHEME_COLORS[entry.color]) {
+            span.classList.add(SCHEME_COLORS[entry.color]);
+        } else if (entry.color.startsWith('#')) {
+            // 自定义色值走 CSS 变量，便于热力图覆盖
+            span.classList.add('key-radical-custom');
+            span.style.setProperty('--radical-color', entry.color);
+        }
+
+        this.radicalElements[radicalId] = span;
+        return span;
+    }
+
+    /**
+     * 切换热力图显示（开启时字根按掌握程度着色，关闭时使用方案配色）
+     * @param {boolean} enabled - 是否开启
+     */
+    setHeatmap(enabled) {
+        if (this.container) {
+            this.container.classList.toggle('heatmap', enabled);
+        }
+    }
+
+    /**
+     * 切换字根图模式；盲练时遮住字根，读屏也只朗读按键
+     * @param {string} mode - 模式ID，未知的模式按默认模式处理
+     * @returns {string} 实际使用的模式ID
+     */
+    setMode(mode) {
+        this.mode = CHART_MODES[mode] ? mode : DEFAULT_CHART_MODE;
+        if (!this.container) return this.mode;
+
+        const blind = this.mode === 'blind';
+        this.container.classList.toggle('blind', blind);
+        this.container.querySelectorAll('.key-cell').forEach(cell => {
+            cell.setAttribute('aria-label', blind ? `${cell.dataset.key} 键` : cell.dataset.label);
+        });
+        return this.mode;
+    }
+
+    /**
+     * 更新每个字根的掌握程度分级
+     * @param {Object} levels - 字根ID -> 分级（见 MASTERY_LEVELS）
+     */
+    applyLevels(levels) {
+        for (const [radicalId, level] of Object.entries(levels)) {
+            const span = this.radicalElements[radicalId];
+            if (!span || span.dataset.level === level) continue;
+
+            if (span.dataset.level) {
+                span.classList.remove(`level-${span.dataset.level}`);
+            }
+            span.classList.add(`level-${level}`);
+            span.dataset.level = level;
+            span.title = `${span.dataset.char} · ${MASTERY_LEVELS[level]}`;
+        }
+    }
+
+    /**
+     * 高亮按键
+     * @param {string} key - 按键字符
+     */
+    highlight(key) {
+        if (!this.container) return;
+
+        this.clearHighlight();
+        const keyCell = this.container.querySelector(`[data-key="${key.toUpperCase()}"]`);
+        if (keyCell) {
+            keyCell.classList.add('highlight');
+        }
+    }
+
+    /**
+     * 清除按键高亮
+     */
+    clearHighlight() {
+        if (!this.container) return;
+
+        const highlighted = this.container.querySelector('.key-cell.highlight');
+        if (highlighted) {
+            highlighted.classList.remove('highlight');
+        }
+    }
+}
+
+// 导出（全局变量方式）
+window.CHART_MODES = CHART_MODES;
+window.DEFAULT_CHART_MODE = DEFAULT_CHART_MODE;
+window.RadicalChart = RadicalChart;
@@ -0,0 +1,187 @@
+/**
+ * 首右plus 分组解锁课程模块
+ * 开启后只从已解锁的字根组中出题，已解锁字根大多达到掌握程度后再解锁下一组
+ * 分组来自课程数据（见 lessons.js），没有课程数据的方案按字根图顺序自动分组
+ */
+
+// 字根达到该熟练度才算掌握（与“已掌握”分级一致）
+const CURRICULUM_MASTERY = 3;
+
+// 已解锁字根中掌握的比例达到该值时解锁下一组
+const CURRICULUM_UNLOCK_RATIO = 0.8;
+
+// 没有课程数据时自动分组的每组字根数
+const CURRICULUM_GROUP_SIZE = 6;
+
+/**
+ * 由课程数据生成当前方案的字根分组
+ * 课程中不存在于方案的字根会被略去，未列出的字根归入最后一组
+ * @param {Object} scheme - 方案定义
+ * @returns {Array} [{ name, ids }]
+ */
+function buildLessonGroups(scheme) {
+    const lessons = LESSONS[scheme.id];
+    if (!lessons) {
+        const groups = [];
+        for (let i = 0; i < RADICAL_LIST.length; i += CURRICULUM_GROUP_SIZE) {
+            groups.push({
+                name: `第 ${groups.length + 1} 组`,
+                ids: RADICAL_LIST.slice(i, i + CURRICULUM_GROUP_SIZE).map(r => r.id)
+            });
+        }
+        return groups;
+    }
+
+    const assigned = new Set();
+    const groups = [];
+    for (const lesson of lessons) {
+        const ids = [...lesson.radicals]
+            .map(char => RADICAL_LIST.find(r => r.char === char))
+            .filter(radical => radical && !assigned.has(radical.id))
+            .map(radical => radical.id);
+        if (ids.length === 0) continue;
+
+        ids.forEach(id => assigned.add(id));
+        groups.push({ name: lesson.name, ids });
+    }
+
+    const rest = RADICAL_LIST.filter(r => !assigned.has(r.id)).map(r => r.id);
+    if (rest.length > 0) {
+        groups.push({ name: '其余字根', ids: rest });
+    }
+    return groups;
+}
+
+/**
+ * 分组解锁课程
+ */
+class Curriculum {
+    /**
+     * @param {Array} groups - 字根分组 [{ name, ids }]
+     */
+    constructor(groups) {
+        this.groups = groups;
+        
+        // 是否开启分组解锁
+        this.enabled = false;
+        
+        // 已解锁的组数（只增不减，答错导致熟练度下降不会重新锁定）
+        this.unlockedCount = 1;
+    }
+
+    /**
+     * 开启或关闭分组解锁
+     * @param {boolean} enabled - 是否开启
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+    }
+
+    /**
+     * 是否开启了分组解锁
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * 获取已解锁的字根ID集合
+     */
+    getUnlockedIds() {
+        return new Set(this.groups.slice(0, this.unlockedCount).flatMap(group => group.ids));
+    }
+
+    /**
+     * 从字根列表中筛出已解锁的字根
+     * 未开启分组解锁，或列表中没有已解锁的字根时原样返回
+     * @param {Array} radicals - 字根对象列表
+     */
+    filter(radicals) {
+        if (!this.enabled) return radicals;
+
+        const unlocked = this.getUnlockedIds();
+        const filtered = radicals.filter(r => unlocked.has(r.id));
+        return filtered.length > 0 ? filtered : radicals;
+    }
+
+    /**
+     * 统计已解锁字根的掌握情况
+     * @param {Object} radicalData - 字根ID -> 学习数据
+     * @returns {Object} { mastered, total, required }
+     */
+    getMastery(radicalData) {
+        const ids = [...this.getUnlockedIds()];
+        const mastered = ids.filter(id => radicalData[id]?.mastery >= CURRICULUM_MASTERY).length;
+        return {
+            mastered,
+            total: ids.length,
+            required: Math.ceil(ids.length * CURRICULUM_UNLOCK_RATIO)
+        };
+    }
+
+    /**
+     * 检查并解锁后续分组（掌握程度足够时可一次解锁多组）
+     * @param {Object} radicalData - 字根ID -> 学习数据
+     * @returns {Array} 本次新解锁的分组
+     */
+    update(radicalData) {
+        const unlocked = [];
+        while (this.unlockedCount < this.groups.length) {
+            const { mastered, required } = this.getMastery(radicalData);
+            if (mastered < required) break;
+
+            unlocked.push(this.groups[this.unlockedCount]);
+            this.unlockedCount++;
+        }
+        return unlocked;
+    }
+
+    /**
+     * 获取课程进度
+     * @param {Object} radicalData - 字根ID -> 学习数据
+     * @returns {Object} { unlockedRadicals, totalRadicals, unlockedGroups, totalGroups, mastery, next }
+     */
+    getProgress(radicalData) {
+        return {
+            unlockedRadicals: this.getUnlockedIds().size,
+            totalRadicals: this.groups.reduce((sum, group) => sum + group.ids.length, 0),
+            unlockedGroups: this.unlockedCount,
+            totalGroups: this.groups.length,
+            mastery: this.getMastery(radicalData),
+            next: this.groups[this.unlockedCount] || null
+        };
+    }
+
+    /**
+     * 重新从第一组开始
+     */
+    reset() {
+        this.unlockedCount = 1;
+    }
+
+    /**
+     * 从存储恢复课程设置
+     * @param {Object} data - { enabled, unlocked }
+     */
+    restore(data) {
+        if (!data || typeof data !== 'object') return;
+
+        this.setEnabled(data.enabled);
+        if (Number.isInteger(data.unlocked)) {
+            this.unlockedCount = Math.min(Math.max(data.unlocked, 1), this.groups.length);
+        }
+    }
+
+    /**
+     * 获取课程设置（用于存储）
+     */
+    getData() {
+        return { enabled: this.enabled, unlocked: this.unlockedCount };
+    }
+}
+
+// 导出（全局变量方式）
+window.Curriculum = Curriculum;
+window.buildLessonGroups = buildLessonGroups;
+window.CURRICULUM_MASTERY = CURRICULUM_MASTERY;
+window.CURRICULUM_UNLOCK_RATIO = CURRICULUM_UNLOCK_RATIO;
@@ -0,0 +1,59 @@
+/**
+ * 首右plus 字根字形数据
+ * 系统字体可能缺少的字根（CJK 部首补充区等）的 SVG 轮廓，取自 Noto Serif SC SemiBold
+ * 坐标系：viewBox 为 0 0 1000 1000，基线在 y = 880
+ * 由 fontTools 的 SVGPathPen 导出，请勿手工修改
+ */
+
+// 字根 -> SVG 路径
+const GLYPH_PATHS = {
+    '⺁': 'M874 148Q866 155 851 155Q836 155 814 147Q759 161 691 174Q623 187 547 198Q471 209 392 217Q314 225 239 228L236 212Q306 200 382 182Q457 163 530 141Q602 119 664 96Q727 74 771 53ZM312 202Q311 206 304 209Q297 212 288 214V415Q288 478 280 550Q273 622 249 695Q225 768 176 836Q128 904 45 959L34 947Q102 867 136 778Q169 688 180 594Q190 501 190 412V163Z', // U+2E81
+    '⺄': 'M727 120V149H65L56 120ZM648 120 700 63 801 149Q796 154 785 159Q774 164 757 167Q753 240 754 320Q754 400 760 478Q767 557 782 626Q797 694 822 744Q848 795 886 818Q897 825 902 823Q908 821 913 810Q922 785 930 756Q938 726 946 695L958 697L947 864Q966 897 970 920Q973 942 962 953Q946 968 925 967Q904 966 882 954Q859 943 837 925Q785 891 752 830Q719 770 700 690Q681 611 672 518Q663 425 661 324Q659 223 660 120Z', // U+2E84
+    '⺅': 'M494 95Q490 103 480 108Q470 113 452 111Q400 215 336 301Q271 387 198 454Q124 521 42 571L30 560Q92 502 153 420Q214 337 268 239Q322 141 359 36ZM371 322Q368 329 360 334Q353 339 339 341V935Q339 939 327 946Q315 954 298 960Q280 965 260 965H242V321L270 285Z', // U+2E85
+    '⺆': 'M732 112 780 56 888 138Q881 145 869 152Q857 158 839 161V842Q839 876 831 902Q823 927 795 942Q767 956 709 962Q707 939 702 922Q698 905 688 894Q677 882 658 874Q640 866 605 860V846Q605 846 620 847Q634 848 655 850Q676 851 694 852Q713 853 721 853Q735 853 740 848Q744 842 744 831V112ZM798 112V141H237V112ZM194 102V71L303 112H288V410Q288 481 282 556Q275 631 252 704Q229 777 183 844Q137 911 56 965L44 956Q110 879 142 790Q174 701 184 606Q194 510 194 412V112Z', // U+2E86
+    '⺈': 'M526 91Q522 99 514 102Q506 105 485 103Q450 152 404 204Q358 256 304 306Q251 356 194 400Q136 443 79 474L69 465Q112 427 156 377Q201 327 244 271Q286 215 322 158Q357 100 382 48ZM764 165V194H361L379 165ZM723 165 783 107 884 196Q878 202 868 204Q859 206 842 208Q819 231 792 260Q764 288 732 317Q701 346 669 372Q637 398 606 418H590Q610 394 631 360Q652 327 672 290Q692 254 708 222Q725 189 735 165Z', // U+2E88
+    '⺉': 'M898 51Q897 61 888 68Q880 76 862 78V838Q862 874 852 900Q842 926 810 942Q779 959 713 966Q709 941 702 924Q696 907 681 895Q665 883 640 874Q614 865 568 858V844Q568 844 582 845Q597 846 620 847Q642 848 666 850Q690 851 710 852Q729 853 737 853Q753 853 759 848Q765 842 765 830V37ZM649 137Q647 147 640 154Q632 161 612 164V689Q612 693 600 700Q588 707 570 712Q552 717 534 717H516V124Z', // U+2E89
+    '⺊': 'M759 373Q759 373 770 381Q780 389 796 402Q811 414 828 429Q845 444 860 457Q858 465 851 469Q844 473 833 473H392L384 444H704ZM484 50Q482 60 475 68Q468 75 447 78V929Q447 934 435 943Q423 952 405 958Q387 965 369 965H350V36Z', // U+2E8A
+    '⺌': 'M121 112Q195 149 238 190Q282 232 302 272Q322 312 322 345Q323 378 310 398Q297 418 275 420Q253 423 228 402Q225 354 207 303Q189 252 164 204Q138 156 109 118ZM773 100 910 152Q906 161 896 166Q887 171 870 170Q822 249 764 321Q705 393 645 444L632 436Q655 394 680 338Q706 283 730 221Q754 159 773 100ZM449 43 584 55Q583 65 575 72Q567 80 547 83V439Q547 443 534 449Q522 455 504 460Q485 465 467 465H449Z', // U+2E8C
+    '⺍': 'M93 104Q166 142 210 184Q254 225 274 264Q295 304 296 336Q297 368 286 388Q274 408 253 410Q232 413 208 393Q203 346 183 295Q163 244 136 196Q109 148 82 110ZM367 41Q434 80 474 123Q514 166 531 206Q548 246 548 278Q547 311 534 331Q520 351 499 352Q478 354 454 332Q452 285 438 234Q423 182 401 134Q379 85 355 47ZM812 68 949 132Q945 139 936 144Q928 148 909 146Q874 207 823 278Q772 349 708 418Q644 486 569 540L558 530Q600 481 638 422Q676 363 710 300Q743 238 769 178Q795 118 812 68Z', // U+2E8D
+    '⺎': 'M392 148Q391 257 386 356Q380 456 362 544Q344 633 306 710Q268 787 203 851Q138 915 38 965L29 955Q122 877 176 788Q229 699 254 599Q278 499 284 386Q290 274 287 148ZM672 148Q672 158 672 168Q672 179 672 186V805Q672 820 679 826Q686 833 710 833H784Q808 833 825 832Q842 832 851 831Q860 831 864 827Q868 823 873 813Q878 801 885 770Q892 739 901 698Q910 656 918 613H930L934 824Q955 833 962 842Q968 852 968 868Q968 888 952 902Q936 915 894 922Q853 928 777 928H689Q644 928 620 919Q595 910 584 889Q574 868 574 832V148ZM848 66Q848 66 859 75Q870 84 888 97Q905 110 924 126Q944 141 960 155Q958 163 951 167Q944 171 933 171H53L45 142H787Z', // U+2E8E
+    '⺏': 'M572 376 700 389Q699 398 692 406Q684 413 667 415V830Q667 843 674 848Q681 853 704 853H784Q809 853 828 853Q847 853 856 852Q871 851 878 839Q885 826 896 786Q906 747 918 702H929L933 844Q954 853 960 862Q967 870 967 885Q967 905 950 918Q934 932 892 938Q851 944 775 944H682Q637 944 614 936Q590 928 581 908Q572 889 572 855ZM324 381 454 393Q453 403 446 410Q438 417 421 419Q418 481 412 542Q406 603 389 661Q372 719 334 773Q297 827 233 875Q169 923 67 964L56 949Q136 902 187 851Q238 800 266 744Q293 689 306 630Q318 570 320 508Q323 445 324 381ZM346 59 471 120Q467 128 459 132Q451 135 433 133Q397 189 342 246Q288 304 219 354Q150 404 66 439L58 427Q124 380 180 318Q237 255 280 188Q322 120 346 59ZM575 69Q682 108 761 158Q840 209 883 268Q903 296 907 321Q911 346 904 364Q897 381 882 388Q867 395 848 388Q829 380 811 354Q793 314 756 264Q720 214 672 164Q624 115 567 79Z', // U+2E8F
+    '⺐': 'M666 366Q665 376 657 383Q649 390 633 392V816Q633 829 641 835Q649 841 676 841H770Q799 841 821 840Q843 840 854 839Q870 838 878 825Q886 812 896 772Q907 733 919 685H931L935 831Q956 839 963 848Q970 858 970 872Q970 893 952 906Q935 919 890 925Q845 931 762 931H656Q608 931 582 923Q556 915 546 895Q537 875 537 840V353ZM517 51Q516 62 508 69Q499 76 481 79Q479 172 476 260Q474 347 464 428Q453 510 427 585Q401 660 354 728Q306 795 230 854Q155 913 44 963L33 948Q143 879 210 802Q277 724 312 638Q348 551 362 454Q376 358 378 254Q380 150 380 37ZM849 194Q849 194 860 204Q871 213 889 228Q907 243 926 260Q946 276 961 291Q958 307 934 307H47L39 278H785Z', // U+2E90
+    '⺗': 'M546 463Q544 473 536 480Q528 486 511 488V841Q511 876 502 900Q494 924 467 938Q440 953 384 958Q382 936 378 920Q374 904 364 893Q354 883 337 875Q320 867 288 863V848Q288 848 302 849Q315 850 334 851Q353 852 370 853Q387 854 394 854Q406 854 410 850Q414 847 414 838V450ZM723 606Q792 630 832 662Q872 693 889 726Q906 759 906 787Q905 815 892 833Q878 851 857 853Q836 855 813 835Q813 796 800 756Q786 715 763 678Q740 640 712 613ZM578 618Q634 645 664 677Q695 709 706 740Q717 770 713 796Q709 821 694 836Q680 851 660 850Q640 850 620 829Q624 794 618 757Q611 720 598 685Q584 650 566 624ZM276 609Q288 672 282 716Q275 760 256 786Q238 813 214 824Q190 836 168 836Q145 835 130 824Q114 813 112 794Q111 776 130 753Q158 743 184 724Q211 706 232 676Q254 647 262 607Z', // U+2E97
+    '⺘': 'M33 548Q64 542 115 531Q166 520 232 504Q297 488 370 470Q444 451 520 431L524 445Q455 480 354 528Q253 575 111 635Q104 655 87 661ZM367 50Q365 61 357 68Q349 75 330 78V844Q330 878 322 903Q313 928 286 943Q258 958 200 964Q198 941 193 924Q188 907 177 896Q165 884 146 876Q126 868 90 863V848Q90 848 106 849Q122 850 144 852Q166 853 186 854Q207 855 214 855Q227 855 232 850Q237 846 237 836V37ZM427 188Q427 188 437 196Q447 205 462 218Q477 230 494 245Q510 260 523 274Q520 290 497 290H60L52 261H374Z', // U+2E98
+    '⺙': 'M287 268H771L833 191Q833 191 844 200Q855 208 873 222Q891 235 910 251Q930 267 947 281Q943 297 918 297H270ZM299 305Q347 444 434 554Q522 663 655 742Q788 820 972 865L970 877Q932 884 909 906Q886 927 877 962Q708 904 592 812Q476 720 403 598Q330 475 287 325ZM651 268H771Q742 394 686 502Q631 611 544 700Q458 788 336 854Q213 920 49 962L43 949Q227 879 352 777Q477 675 550 546Q624 418 651 268ZM360 37 501 90Q497 99 487 104Q477 109 460 108Q391 258 296 369Q200 480 87 551L76 541Q130 484 184 404Q237 325 283 231Q329 137 360 37Z', // U+2E99
+    '⺛': 'M560 120Q558 206 553 288Q548 370 532 448Q517 525 484 596Q452 667 396 732Q341 797 254 855Q168 913 45 963L34 946Q160 878 240 802Q319 727 363 646Q407 565 426 480Q445 394 450 304Q454 214 455 120ZM327 218Q326 228 316 236Q305 244 282 243L293 222Q289 245 280 278Q272 311 263 348Q254 384 244 418Q235 452 227 476H235L198 519L101 457Q112 448 129 439Q146 430 160 427L128 461Q136 438 146 403Q157 368 166 330Q176 291 184 256Q191 221 194 198ZM598 456Q598 466 598 474Q598 483 598 490V826Q598 839 606 844Q614 849 642 849H745Q776 849 800 848Q825 848 836 847Q847 846 852 843Q857 840 861 832Q868 818 878 778Q889 739 901 689H913L916 838Q938 845 945 854Q952 864 952 878Q952 897 935 909Q918 921 872 927Q825 933 737 933H624Q576 933 550 925Q524 917 514 898Q505 880 505 845V456ZM829 370Q829 370 840 378Q852 387 870 400Q887 414 906 430Q926 445 943 459Q939 475 914 475H188V446H767ZM802 37Q802 37 813 45Q824 53 842 66Q859 78 878 92Q897 107 913 121Q909 137 885 137H106L98 108H742Z', // U+2E9B
+    '⺝': 'M220 924Q220 930 209 939Q198 948 180 954Q162 961 139 961H122V101V56L226 101H611V130H220ZM608 555V584H156V555ZM610 325V354H162V325ZM545 101 591 46 695 126Q690 132 679 138Q668 144 653 146V831Q653 867 644 892Q634 918 604 934Q574 950 510 957Q507 932 501 914Q495 897 482 885Q468 873 446 864Q423 855 381 849V835Q381 835 400 836Q419 837 446 839Q472 841 496 842Q520 843 529 843Q544 843 550 838Q555 832 555 820V101Z', // U+2E9D
+    '⺡': 'M155 58Q222 63 264 80Q306 97 326 120Q346 142 349 164Q352 187 342 204Q332 220 312 224Q292 229 268 216Q258 189 238 161Q217 133 193 108Q169 84 146 66ZM39 284Q109 284 153 299Q197 314 218 336Q240 357 244 380Q247 402 237 420Q227 437 206 442Q186 448 159 435Q150 409 129 382Q108 355 82 332Q57 308 32 292ZM103 673Q114 673 120 670Q126 668 137 653Q145 643 152 634Q159 624 170 608Q182 593 203 564Q224 534 258 484Q292 434 345 358Q398 281 475 171L491 178Q467 219 438 271Q408 323 376 378Q345 434 316 484Q288 534 268 571Q248 608 240 624Q228 649 220 674Q211 699 211 718Q212 742 221 765Q230 788 238 816Q246 845 244 886Q243 922 223 943Q203 964 170 964Q153 964 141 951Q129 938 124 912Q136 830 132 776Q128 721 108 710Q96 703 82 699Q67 695 50 694V673Q50 673 61 673Q72 673 85 673Q98 673 103 673Z', // U+2EA1
+    '⺣': 'M745 659Q819 695 864 735Q908 775 928 814Q949 854 950 887Q951 920 938 940Q925 961 904 964Q882 966 857 945Q854 897 835 847Q816 797 790 750Q763 702 733 666ZM526 666Q590 702 626 742Q663 781 678 818Q692 856 690 886Q688 916 674 934Q660 952 638 953Q617 954 595 931Q596 888 585 842Q574 795 555 751Q536 707 514 672ZM345 670Q392 711 415 753Q438 795 444 832Q449 870 441 898Q433 927 416 942Q400 957 380 955Q360 953 340 929Q349 887 350 842Q351 797 346 754Q340 710 331 674ZM206 662Q229 739 222 797Q216 855 194 893Q171 931 143 950Q116 969 86 968Q56 966 44 942Q35 921 44 901Q54 881 74 869Q103 854 129 824Q155 794 173 752Q191 711 191 662Z', // U+2EA3
+    '⺤': 'M441 380Q496 415 525 452Q554 488 564 522Q574 555 569 582Q564 608 548 623Q533 638 512 636Q492 635 472 613Q475 575 469 534Q463 494 452 456Q442 417 429 385ZM721 359Q802 392 852 430Q901 469 926 508Q950 546 954 578Q958 611 947 632Q936 653 915 657Q894 661 868 642Q862 607 846 570Q829 533 807 496Q785 460 760 426Q735 393 710 366ZM872 323Q854 338 811 321Q758 329 692 338Q626 346 552 352Q479 359 404 364Q329 368 258 369L255 353Q321 343 393 328Q465 312 536 294Q606 276 668 258Q729 240 772 223ZM339 344Q335 353 326 359Q317 365 300 364Q256 470 192 552Q129 633 53 686L40 677Q74 632 106 572Q137 512 162 442Q188 373 204 300Z', // U+2EA4
+    '⺦': 'M724 50Q722 60 714 68Q707 75 687 78V929Q687 934 675 943Q663 952 644 958Q625 965 606 965H587V36ZM214 667Q240 656 284 634Q327 613 382 584Q438 555 500 521Q563 487 627 452L633 463Q582 513 501 584Q420 655 308 744Q305 766 290 775ZM255 163Q346 185 404 216Q461 247 492 280Q523 314 532 345Q540 376 532 397Q523 418 502 424Q482 430 454 415Q436 373 402 328Q368 283 326 242Q284 202 245 172Z', // U+2EA6
+    '⺧': 'M393 136Q389 144 379 150Q369 155 354 153Q331 203 298 257Q265 311 224 360Q184 408 138 444L124 435Q153 392 180 334Q206 276 226 212Q247 148 261 88ZM775 185Q775 185 786 194Q797 203 814 217Q832 231 851 246Q870 262 885 276Q884 284 876 288Q869 292 858 292H230V263H714ZM609 69Q608 79 600 86Q591 93 572 96V482H474V56ZM848 390Q848 390 859 399Q870 408 887 422Q904 435 922 451Q941 467 957 481Q953 497 929 497H70L62 468H788Z', // U+2EA7
+    '⺨': 'M183 62Q270 123 330 200Q389 277 424 362Q460 446 474 530Q489 614 486 689Q484 764 467 822Q450 880 422 913Q403 939 366 952Q328 964 274 964Q273 942 266 922Q259 902 245 891Q234 880 206 870Q178 860 136 850V837Q165 839 198 842Q231 844 260 845Q289 846 304 846Q319 846 328 844Q338 841 343 830Q361 801 372 751Q382 701 382 636Q383 570 372 496Q361 423 336 348Q312 273 272 202Q231 130 172 70ZM430 506Q387 550 326 595Q265 640 194 679Q122 718 46 744L39 732Q111 689 178 631Q245 573 301 507Q357 441 396 373ZM568 125Q563 132 554 135Q546 138 529 134Q478 190 403 247Q328 304 236 354Q145 404 43 437L35 424Q122 378 202 316Q283 253 348 184Q413 115 452 53Z', // U+2EA8
+    '⺫': 'M664 129V401H576V129ZM450 129V401H364V129ZM778 129 825 78 924 154Q920 160 909 166Q898 171 882 175V468Q882 472 868 478Q855 483 838 488Q820 493 803 493H788V129ZM233 477Q233 481 221 488Q209 495 191 500Q173 506 154 506H140V129V88L241 129H836V158H233ZM835 386V415H181V386Z', // U+2EAB
+    '⺬': 'M320 838Q320 871 312 897Q303 923 277 939Q251 955 198 960Q197 938 193 922Q189 905 180 894Q171 884 154 876Q136 867 104 862V848Q104 848 117 849Q130 850 148 851Q167 852 184 853Q200 854 207 854Q219 854 223 849Q227 844 227 835V361H320ZM232 526Q228 533 220 538Q213 543 194 542Q180 586 158 638Q136 691 106 742Q76 794 36 835L25 824Q50 775 68 714Q85 652 96 590Q107 529 111 481ZM349 499Q405 526 437 556Q469 587 482 616Q496 645 494 668Q493 692 482 706Q470 721 452 722Q435 722 416 705Q415 672 402 636Q390 599 373 565Q356 531 337 505ZM408 280Q408 280 418 288Q427 295 442 308Q458 320 474 334Q491 348 506 361Q502 377 478 377H65L57 348H354ZM381 59Q381 59 392 67Q402 75 418 88Q433 100 450 114Q467 128 482 141Q478 157 454 157H98L90 128H326Z', // U+2EAC
+    '⺮': 'M861 139Q861 139 871 147Q881 155 896 167Q912 179 928 194Q945 208 959 221Q955 237 932 237H591V208H807ZM453 144Q453 144 468 156Q484 169 505 187Q526 205 541 221Q538 237 516 237H216V208H406ZM663 219Q717 235 746 258Q775 281 786 304Q796 328 792 348Q789 368 776 380Q762 393 743 392Q724 392 705 375Q707 336 690 294Q674 253 653 225ZM728 95Q724 103 714 108Q705 114 688 113Q642 210 580 284Q517 359 444 407L432 398Q465 356 496 300Q528 245 554 180Q580 116 598 48ZM277 218Q328 235 355 258Q382 280 391 302Q400 325 396 344Q391 363 378 374Q365 385 346 384Q328 383 310 366Q313 329 299 290Q285 250 266 223ZM351 91Q348 99 338 105Q329 111 312 110Q261 215 193 298Q125 380 47 433L35 423Q71 379 106 320Q140 260 170 190Q200 120 221 48Z', // U+2EAE
+    '⺳': 'M523 207Q625 229 692 260Q759 291 798 326Q836 360 850 391Q863 422 858 444Q852 467 832 476Q812 484 784 471Q764 439 732 404Q701 370 664 336Q626 301 588 270Q549 240 514 216ZM425 289Q385 318 327 354Q269 390 205 424Q141 459 80 485L72 474Q105 451 146 414Q187 377 229 336Q271 295 306 257Q341 219 362 192L476 274Q471 282 459 286Q447 291 425 289ZM886 117V146H153V117ZM808 117 865 61 963 154Q953 165 924 166Q908 183 884 204Q860 224 835 243Q810 262 786 276L776 269Q784 248 792 220Q801 192 808 164Q816 137 820 117ZM166 56Q191 116 191 162Q191 209 176 240Q160 272 137 286Q114 300 88 296Q61 291 52 267Q43 245 55 227Q67 209 88 198Q115 182 136 143Q156 104 150 57Z', // U+2EB3
+    '⺶': 'M565 255Q560 363 544 456Q527 548 494 626Q460 705 402 769Q345 833 259 882Q173 931 51 965L45 953Q168 897 247 826Q326 756 370 670Q414 583 432 480Q449 376 451 255ZM776 92Q772 100 762 105Q752 110 736 108Q706 139 660 178Q614 218 569 248H552Q569 220 586 184Q604 149 620 112Q636 76 647 46ZM265 57Q325 68 360 88Q395 107 410 130Q424 153 424 175Q423 197 411 212Q399 226 380 228Q360 231 337 216Q333 189 320 161Q307 133 290 108Q273 82 256 64ZM774 324Q774 324 790 337Q806 350 828 368Q851 387 869 404Q866 420 842 420H161L153 391H721ZM834 171Q834 171 850 184Q867 197 890 214Q912 232 931 249Q927 265 904 265H110L102 236H781ZM844 477Q844 477 854 485Q864 493 879 506Q894 518 911 532Q928 547 942 560Q938 576 915 576H83L74 547H790Z', // U+2EB6
+    '⺷': 'M789 94Q785 102 776 107Q766 112 749 111Q721 139 679 173Q637 207 596 234H573Q587 208 601 176Q615 145 628 112Q642 79 651 53ZM249 58Q310 64 346 80Q382 97 398 118Q414 139 414 160Q414 180 402 194Q390 208 370 211Q351 214 329 199Q323 174 309 150Q295 125 277 103Q259 81 241 66ZM540 221V532H443V221ZM755 297Q755 297 765 305Q775 313 790 326Q806 339 823 354Q840 369 854 382Q850 398 827 398H170L162 369H700ZM847 442Q847 442 858 450Q869 459 886 472Q902 486 920 502Q937 517 951 531Q950 539 943 543Q936 547 925 547H73L65 518H790ZM821 147Q821 147 832 156Q842 164 858 177Q874 190 892 206Q909 221 923 234Q919 250 896 250H115L107 221H765Z', // U+2EB7
+    '⺸': 'M550 940Q550 943 528 954Q506 964 467 964H449V497H550ZM851 170Q851 170 866 184Q882 197 903 216Q924 234 940 252Q937 268 914 268H649V239H801ZM343 235V264H90L81 235ZM717 57Q716 67 708 74Q700 82 680 84V383Q680 386 668 392Q657 399 639 404Q621 408 602 408H585V44ZM448 55Q447 64 440 71Q432 78 413 80V387Q413 391 402 397Q390 403 372 408Q354 412 336 412H319V42ZM786 614Q786 614 796 622Q807 629 822 642Q838 654 856 668Q873 683 888 696Q884 712 861 712H130L121 683H730ZM856 418Q856 418 866 426Q877 434 894 447Q910 460 928 475Q946 490 961 504Q959 512 952 516Q945 520 934 520H60L52 491H798Z', // U+2EB8
+    '⺹': 'M393 102 520 113Q519 123 512 130Q506 136 488 139V467H393ZM138 263H578L634 190Q634 190 644 198Q654 206 670 219Q686 232 704 247Q721 262 735 276Q731 292 707 292H146ZM37 456H802L859 384Q859 384 870 392Q880 401 896 414Q912 426 930 441Q948 456 963 469Q959 485 936 485H45ZM806 132 919 208Q913 215 904 217Q894 219 877 214Q816 295 732 376Q647 458 541 533Q435 608 310 671Q185 734 44 777L36 763Q163 708 279 636Q395 563 495 479Q595 395 674 306Q753 218 806 132Z', // U+2EB9
+    '⺼': 'M204 564Q228 556 266 540Q304 524 350 503Q396 482 442 461L447 473Q419 501 376 542Q333 584 277 631Q275 652 258 659ZM230 261Q294 266 335 282Q376 298 396 320Q417 341 422 362Q426 383 418 398Q409 414 392 418Q374 422 352 410Q343 384 322 358Q301 331 274 308Q247 285 222 270ZM506 120V149H160V120ZM116 110V78L227 120H211V485Q211 549 207 615Q203 681 188 744Q173 806 139 863Q105 920 44 967L31 959Q72 895 90 818Q107 741 112 657Q116 573 116 487V120ZM432 120 481 63 588 146Q582 153 570 160Q558 166 540 169V840Q540 875 531 900Q522 926 492 942Q462 958 398 963Q395 940 389 922Q383 905 371 894Q357 881 334 872Q312 863 270 857V843Q270 843 289 844Q308 846 334 848Q361 849 384 850Q408 851 418 851Q433 851 438 846Q443 840 443 828V120Z', // U+2EBC
+    '⺾': 'M35 215H801L859 136Q859 136 870 145Q881 154 898 168Q914 183 932 198Q950 214 964 228Q960 244 937 244H44ZM297 41 429 53Q428 63 420 70Q413 78 393 81V386Q393 390 381 396Q369 402 351 406Q333 410 314 410H297ZM591 41 725 53Q724 63 716 70Q708 78 688 81V386Q688 390 676 396Q663 402 645 406Q627 410 608 410H591Z', // U+2EBE
+    '⻀': 'M320 39 452 51Q451 61 443 68Q435 75 415 78V383Q415 387 404 393Q392 399 374 404Q356 408 337 408H320ZM574 39 708 51Q707 61 700 68Q692 75 672 79V383Q672 387 660 393Q648 399 630 404Q611 408 592 408H574ZM35 206H350V235H44ZM643 206H811L867 130Q867 130 877 138Q887 147 904 161Q920 175 938 190Q955 205 969 219Q965 235 941 235H643Z', // U+2EC0
+    '⻂': 'M518 448Q513 455 502 458Q492 460 477 456Q452 481 422 504Q392 528 359 545L346 534Q367 507 389 468Q411 428 429 385ZM172 37Q235 51 271 72Q307 94 322 119Q338 144 338 166Q337 187 324 202Q310 216 290 218Q270 219 248 202Q243 175 230 146Q216 116 198 90Q181 63 163 44ZM317 933Q317 937 308 944Q298 952 280 958Q263 964 240 964H223V506L317 426ZM306 495Q369 513 407 538Q445 564 463 590Q481 615 483 636Q485 658 476 672Q466 687 449 689Q432 691 411 677Q403 648 384 616Q364 585 340 554Q317 524 296 502ZM322 254 378 200 471 290Q464 295 454 298Q444 300 426 302Q390 371 331 442Q272 512 198 574Q124 636 43 678L33 669Q83 628 130 578Q177 528 217 472Q257 416 288 360Q318 305 334 254ZM383 254V282H74L65 254Z', // U+2EC2
+    '⻊': 'M127 73 221 116H208V404Q208 409 190 420Q171 430 140 430H127V116ZM50 835Q81 831 130 824Q179 816 239 805Q299 794 365 781Q431 768 498 753L501 767Q434 798 340 837Q247 876 119 921Q112 941 94 946ZM418 502Q418 502 432 515Q445 528 464 546Q482 564 496 580Q492 596 470 596H292V567H375ZM212 503Q211 511 205 516Q199 522 186 524V850L108 869V493ZM333 360V816L248 838V360ZM361 116 402 71 492 139Q487 144 477 150Q467 155 453 157V393Q453 396 442 402Q430 407 414 411Q398 415 384 415H370V116ZM395 355V385H170V355ZM393 116V145H168V116Z', // U+2ECA
+    '⻌': 'M241 712Q255 712 262 715Q269 718 278 728Q320 774 372 799Q423 824 494 833Q565 842 663 842Q744 842 816 841Q887 840 968 836V848Q938 856 922 879Q905 902 901 933Q863 933 818 933Q773 933 726 933Q679 933 633 933Q535 933 468 916Q402 900 354 862Q305 824 263 760Q253 746 245 747Q237 748 227 760Q216 776 194 806Q173 835 149 868Q125 901 106 929Q111 944 97 954L23 845Q51 829 84 806Q117 784 150 762Q182 741 206 726Q231 712 241 712ZM106 55Q176 78 218 108Q260 138 280 168Q299 198 301 224Q303 251 291 268Q279 284 259 287Q239 290 215 272Q206 237 186 199Q166 161 142 125Q118 89 95 61ZM273 728 183 761V406H41L35 377H167L216 312L323 399Q318 405 306 410Q294 416 273 419Z', // U+2ECC
+    '⻍': 'M272 766Q298 793 326 810Q354 826 389 835Q424 844 472 847Q520 850 586 850Q642 850 708 850Q775 849 842 848Q910 847 969 846V859Q913 872 906 938Q861 938 806 938Q751 938 694 938Q638 938 586 938Q518 938 468 932Q417 926 380 909Q342 892 314 862Q285 831 260 783Q238 808 210 837Q183 866 156 892Q129 919 108 938Q109 947 105 953Q101 959 94 963L37 852Q67 841 108 824Q149 806 192 786Q236 766 272 748ZM272 582V759L182 823V569H41L35 540H166L216 475L323 562Q318 568 306 574Q294 580 272 582ZM129 58Q192 63 232 78Q271 94 292 116Q312 137 316 158Q319 179 310 195Q302 211 284 216Q266 221 242 210Q232 185 212 158Q192 131 168 107Q143 83 120 66ZM83 265Q148 267 188 281Q229 295 251 316Q273 337 278 358Q282 379 274 396Q265 412 247 418Q229 424 206 413Q194 388 172 362Q150 336 124 313Q98 290 74 274Z', // U+2ECD
+    '⻏': 'M810 109 866 55 970 153Q960 165 924 165Q910 190 890 222Q869 255 846 290Q824 324 802 356Q779 389 757 414Q828 451 871 494Q914 538 934 584Q954 630 954 673Q954 748 915 790Q876 831 779 833Q779 819 778 802Q776 786 772 772Q769 759 764 752Q757 745 740 739Q724 733 701 729V715Q723 715 753 715Q783 715 800 715Q816 715 825 710Q840 702 848 686Q857 671 857 645Q857 588 828 530Q798 472 732 416Q743 387 756 348Q768 308 780 264Q793 221 804 180Q815 140 822 109ZM554 66 663 109H651V933Q651 936 642 944Q632 952 614 958Q596 965 571 965H554V109ZM865 109V138H607V109Z', // U+2ECF
+    '⻖': 'M371 109 428 55 533 154Q522 165 485 166Q470 191 448 224Q427 256 403 290Q379 325 354 356Q330 388 308 413Q382 450 428 494Q474 537 495 583Q516 629 516 673Q516 748 476 790Q435 831 334 834Q334 819 332 803Q331 787 327 774Q323 760 318 753Q311 745 293 739Q275 733 251 729V715Q267 715 287 715Q307 715 326 715Q346 715 358 715Q374 715 385 710Q402 702 410 686Q419 671 419 645Q419 588 386 530Q354 472 282 416Q294 387 308 348Q322 308 336 265Q351 222 363 182Q375 141 383 109ZM129 66 238 109H226V933Q226 936 216 944Q206 952 188 958Q171 965 146 965H129V109ZM436 109V138H178V109Z', // U+2ED6
+    '⻗': 'M152 261H884V290H152ZM144 213 160 212Q182 268 180 311Q177 354 160 382Q143 409 120 421Q98 433 74 428Q49 424 40 401Q33 380 44 363Q56 346 76 338Q104 324 126 290Q148 256 144 213ZM836 261H825L877 209L968 296Q959 306 930 307Q909 331 878 360Q846 388 819 407L808 401Q813 381 819 356Q825 330 830 304Q835 279 836 261ZM130 134H719L778 58Q778 58 789 66Q800 75 816 89Q833 103 852 118Q871 133 886 147Q882 163 858 163H138ZM166 381H288L331 327Q331 327 345 338Q359 349 378 364Q397 379 413 394Q409 409 387 409H174ZM142 498H285L331 443Q331 443 346 454Q360 465 380 480Q399 496 415 511Q411 527 388 527H150ZM582 381H694L739 326Q739 326 753 337Q767 348 786 364Q806 379 822 394Q818 409 796 409H590ZM583 498H730L777 441Q777 441 792 452Q806 464 826 480Q846 496 863 511Q859 527 837 527H591ZM449 134H543V560Q543 563 522 573Q502 583 466 583H449Z', // U+2ED7
+    '⻞': 'M357 88Q324 139 276 196Q227 253 167 305Q107 357 41 395L32 386Q68 351 102 306Q137 261 168 212Q198 163 222 116Q245 69 258 30L400 67Q397 76 388 82Q378 87 357 88ZM356 87Q437 106 484 132Q532 158 554 185Q575 212 576 236Q577 260 564 276Q552 291 532 294Q513 297 493 282Q478 239 439 186Q400 133 342 90ZM285 189Q332 203 358 222Q383 242 392 262Q401 282 397 299Q393 316 381 326Q369 336 352 335Q335 334 318 318Q318 287 304 252Q291 218 274 195ZM429 359 470 315 558 381Q554 386 546 390Q537 395 525 397V617Q525 620 512 626Q500 631 483 636Q466 641 452 641H437V359ZM480 472V501H197V472ZM483 583V612H197V583ZM458 640Q458 640 473 652Q488 664 509 680Q530 697 546 713Q542 729 520 729H193V700H410ZM466 758Q466 758 476 766Q485 773 499 785Q513 797 530 810Q546 824 558 837Q555 853 532 853H194V824H415ZM239 932Q239 937 228 944Q218 952 202 958Q186 963 167 963H152V359V319L244 359H495V388H239Z', // U+2EDE
+    '⻟': 'M244 195Q294 209 321 228Q348 248 358 269Q367 290 363 308Q359 325 346 336Q333 346 316 346Q298 345 280 329Q281 296 267 260Q253 225 234 202ZM334 669Q395 693 432 722Q470 751 487 780Q504 809 506 834Q507 858 496 874Q486 889 468 892Q450 894 429 878Q422 844 405 808Q388 771 366 736Q344 702 322 675ZM217 380V392H130V353V315L222 353H444V380ZM117 849Q142 841 188 826Q235 811 294 791Q354 771 415 749L420 762Q394 780 353 808Q312 835 261 868Q210 902 154 937ZM196 373 217 386V850L146 879L183 847Q193 890 178 916Q164 941 149 949L96 847Q119 834 124 826Q130 817 130 802V373ZM438 591V620H170V591ZM438 472V501H170V472ZM389 353 431 308 518 375Q514 380 506 384Q497 389 485 391V631Q485 635 472 641Q460 647 444 652Q427 657 412 657H398V353ZM307 74Q388 98 436 126Q483 154 504 182Q524 209 525 232Q526 256 514 271Q502 286 482 288Q463 290 443 275Q433 248 412 214Q390 179 360 144Q331 108 293 77ZM325 72Q298 126 256 186Q213 247 159 302Q105 357 45 398L35 390Q65 354 93 309Q121 264 144 215Q168 166 186 120Q203 73 213 34L364 50Q363 58 354 64Q346 69 325 72Z', // U+2EDF
+    '⻣': 'M456 214 497 169 591 237Q587 242 577 248Q567 253 553 255V375Q552 375 538 375Q524 375 507 375Q490 375 480 375H466V214ZM654 483 699 431 801 509Q797 514 786 520Q775 526 759 528V852Q759 884 750 908Q742 932 714 946Q687 960 629 965Q627 944 622 928Q618 912 607 901Q596 892 578 884Q560 875 525 871V856Q525 856 540 857Q554 858 574 860Q595 861 614 862Q633 863 642 863Q655 863 660 858Q664 853 664 843V483ZM155 303Q178 358 180 402Q181 446 169 476Q157 506 136 521Q122 530 106 532Q89 533 75 526Q61 519 54 503Q46 480 58 462Q69 443 90 432Q112 416 128 380Q145 343 140 303ZM657 93 706 43 802 117Q798 123 787 128Q776 133 760 136V371H667V93ZM527 214V243H295V214ZM244 52 349 93H336V371H244V93ZM819 360 871 308 963 396Q957 401 948 403Q939 405 924 406Q904 427 872 452Q839 478 813 495L802 489Q807 472 812 448Q817 424 822 400Q827 376 830 360ZM718 731V760H278V731ZM874 360V389H147V360ZM728 93V122H280V93ZM718 605V634H278V605ZM339 932Q339 937 328 945Q316 953 298 958Q280 964 259 964H245V483V441L345 483H737V512H339Z', // U+2EE3
+    '⻤': 'M581 530Q581 539 581 548Q581 556 581 563V843Q581 856 589 861Q597 866 628 866H746Q782 866 810 866Q838 865 850 864Q860 863 866 860Q871 858 875 851Q883 838 892 806Q902 774 914 733H926L929 854Q949 861 956 870Q964 878 964 891Q964 910 947 922Q930 934 882 940Q834 945 740 945H615Q566 945 540 938Q514 931 504 912Q495 894 495 862V530ZM786 617Q782 625 768 630Q755 635 730 626L759 620Q744 643 722 670Q699 698 676 724Q652 750 629 767L628 755H667Q665 789 654 808Q644 828 630 834L591 744Q591 744 600 742Q609 739 613 736Q627 720 642 689Q656 658 667 624Q678 591 682 569ZM613 745Q634 745 667 744Q700 743 740 740Q779 736 818 732L819 747Q802 756 773 768Q744 781 709 795Q674 809 638 821ZM761 654Q814 679 839 708Q864 737 869 762Q874 788 864 806Q855 823 838 826Q821 829 803 812Q804 786 796 758Q788 731 776 706Q763 680 749 661ZM553 172Q552 293 541 397Q530 501 500 588Q471 676 414 747Q358 818 268 872Q178 926 43 964L36 951Q145 902 220 842Q294 783 340 712Q387 641 412 558Q436 475 444 378Q452 282 451 172ZM591 61Q587 73 576 78Q566 84 550 84Q535 98 514 116Q493 135 472 152Q452 170 435 184H397Q404 164 412 136Q420 109 428 80Q437 52 443 29ZM732 164 779 112 878 189Q874 195 863 200Q852 206 837 209V551Q836 555 823 561Q810 567 792 572Q773 577 757 577H742V164ZM259 566Q259 570 247 578Q235 585 217 590Q199 596 178 596H164V164V121L266 164H793V193H259ZM789 335V364H207V335ZM789 512V541H207V512Z', // U+2EE4
+    '龶': 'M788 181Q788 181 804 194Q821 206 844 224Q867 242 885 259Q881 275 859 275H141L133 246H736ZM856 298Q856 298 866 306Q876 313 892 326Q908 338 925 352Q942 367 957 380Q953 396 930 396H55L46 367H801ZM807 61Q807 61 817 68Q827 76 843 88Q859 101 876 115Q894 129 908 142Q904 158 881 158H109L101 129H752ZM582 47Q581 57 574 64Q566 71 546 74V382H450V35Z' // U+9FB6
+};
+
+// 导出（全局变量方式）
+window.GLYPH_PATHS = GLYPH_PATHS;
@@ -0,0 +1,154 @@
+/**
+ * 首右plus 字形检测模块
+ * ⺈、⻊、龶 等少见码位在缺字的字体下会显示成方框，用户无法作答
+ * 检测方法：在画布上分别绘制字根和一个一定缺字的码位（notdef 基准），
+ * 宽度和像素都相同即视为当前字体无法显示该字根，改用 glyph-data.js 中的 SVG 字形
+ */
+
+// notdef 基准：私用区码位，任何字体都不会为它提供字形
+const NOTDEF_PROBE = '\u{10FFFD}';
+
+// 检测用的字号（像素）
+const GLYPH_PROBE_SIZE = 32;
+
+// 检测用的字体（与字根显示一致）
+const GLYPH_PROBE_FONT = `600 ${GLYPH_PROBE_SIZE}px "Noto Serif SC", serif`;
+
+/**
+ * 字形检测器
+ */
+class GlyphChecker {
+    constructor() {
+        // 字根 -> 是否能显示（只记录检测过的字根）
+        this.results = new Map();
+
+        // 检测用的画布上下文（不支持画布时为 null）
+        this.context = undefined;
+    }
+
+    /**
+     * 获取检测用的画布上下文
+     */
+    getContext() {
+        if (this.context !== undefined) return this.context;
+
+        const size = GLYPH_PROBE_SIZE * 2;
+        let canvas = null;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(size, size);
+        } else if (typeof document !== 'undefined') {
+            canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+        }
+
+        this.context = canvas?.getContext('2d', { willReadFrequently: true }) || null;
+        if (this.context) {
+            this.context.font = GLYPH_PROBE_FONT;
+            this.context.textBaseline = 'middle';
+        }
+        return this.context;
+    }
+
+    /**
+     * 绘制单个字符并返回它的宽度和像素
+     * @param {CanvasRenderingContext2D} context - 画布上下文
+     * @param {string} char - 字符
+     */
+    draw(context, char) {
+        const size = GLYPH_PROBE_SIZE * 2;
+        context.clearRect(0, 0, size, size);
+        context.fillText(char, GLYPH_PROBE_SIZE / 2, size / 2);
+        return {
+            width: context.measureText(char).width,
+            pixels: context.getImageData(0, 0, size, size).data
+        };
+    }
+
+    /**
+     * 检测一组字根能否显示
+     * 先等待字根字体加载完成，避免把尚未加载的字形误判为缺字
+     * @param {Array<string>} chars - 字根列表
+     * @returns {Promise<Array<string>>} 无法显示的字根
+     */
+    async check(chars) {
+        if (typeof document !== 'undefined' && document.fonts) {
+            try {
+                await document.fonts.load(GLYPH_PROBE_FONT, chars.join(''));
+            } catch (e) {
+                console.warn('字根字体加载失败：', e);
+            }
+        }
+
+        const context = this.getContext();
+        if (!context) return [];
+
+        const notdef = this.draw(context, NOTDEF_PROBE);
+        for (const char of chars) {
+            const glyph = this.draw(context, char);
+            const isNotdef = glyph.width === notdef.width
+                && glyph.pixels.every((value, index) => value === notdef.pixels[index]);
+            this.results.set(char, !isNotdef);
+        }
+        return chars.filter(char => this.results.get(char) === false);
+    }
+
+    /**
+     * 字根能否显示（未检测过的字根按能显示处理）
+     * @param {string} char - 字根
+     */
+    isSupported(char) {
+        return this.results.get(char) !== false;
+    }
+}
+
+// 全局字形检测器
+const glyphChecker = new GlyphChecker();
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文字
+ */
+function escapeGlyphText(text) {
+    return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * 生成字根的显示 HTML：能显示时为文字，否则为内置 SVG 字形
+ * @param {string} char - 字根
+ */
+function glyphHTML(char) {
+    const path = GLYPH_PATHS[char];
+    if (glyphChecker.isSupported(char) || !path) {
+        return escapeGlyphText(char);
+    }
+    return `<svg class="glyph-svg" viewBox="0 0 1000 1000" role="img" aria-label="${escapeGlyphText(char)}"><path d="${path}"/></svg>`;
+}
+
+/**
+ * 把字根写入元素
+ * @param {HTMLElement} element - 目标元素
+ * @param {string} char - 字根
+ */
+function renderGlyph(element, char) {
+    element.innerHTML = glyphHTML(char);
+}
+
+/**
+ * 统计字根的显示方式
+ * @param {Array<string>} chars - 字根列表
+ * @returns {Object} { fallback, missing }：使用内置字形的字根、既不能显示也没有内置字形的字根
+ */
+function getGlyphReport(chars) {
+    const unsupported = chars.filter(char => !glyphChecker.isSupported(char));
+    return {
+        fallback: unsupported.filter(char => GLYPH_PATHS[char]),
+        missing: unsupported.filter(char => !GLYPH_PATHS[char])
+    };
+}
+
+// 导出（全局变量方式）
+window.glyphChecker = glyphChecker;
+window.glyphHTML = glyphHTML;
+window.renderGlyph = renderGlyph;
+window.getGlyphReport = getGlyphReport;
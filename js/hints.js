@@ -0,0 +1,184 @@
+/**
+ * 首右plus 字根提示模块
+ * 提示卡包括助记文字、笔画别名对应的笔画字形和含该字根的例字
+ * 默认助记文字为字根名称和读音，用户可以改写，改写后的文字随练习数据保存
+ */
+
+// 默认助记文字与补充例字：字根 -> { text, examples }
+// 整字练习数据中没有出现的字根在这里补充例字
+const DEFAULT_HINTS = {
+    '火': { text: '火字旁，读 huǒ' },
+    '龶': { text: '青字头，“青”去掉下面的月', examples: '青责表' },
+    '王': { text: '王字旁，读 wáng' },
+    '亠': { text: '点横头（文字头），读 tóu', examples: '六京高' },
+    '攵': { text: '反文旁，读 wén' },
+    '禾': { text: '禾木旁，读 hé' },
+    '阝': { text: '双耳刀，读 ěr' },
+    '亻': { text: '单人旁，读 rén' },
+    '彳': { text: '双人旁，读 rén' },
+    '土': { text: '提土旁，读 tǔ' },
+    '田': { text: '田字，读 tián' },
+    '月': { text: '月字旁，读 yuè' },
+    '又': { text: '又字，读 yòu' },
+    '雨': { text: '雨字头，读 yǔ' },
+    '氵': { text: '三点水，读 shuǐ' },
+    '纟': { text: '绞丝旁，读 sī' },
+    '厶': { text: '私字儿，读 sī' },
+    '虫': { text: '虫字旁，读 chóng' },
+    '刂': { text: '立刀旁，读 dāo' },
+    '撇': { text: '撇（丿）：从右上斜向左下的笔画，读 piě', examples: '千乏么' },
+    '讠': { text: '言字旁，读 yán' },
+    '竖': { text: '竖（丨）：从上到下的直笔，读 shù', examples: '中丰申' },
+    '饣': { text: '食字旁，读 shí' },
+    '石': { text: '石字旁，读 shí' },
+    '尸': { text: '尸字头，读 shī' },
+    '点': { text: '点（丶）：短小的一点，读 diǎn', examples: '主头义' },
+    '目': { text: '目字旁，读 mù' },
+    '扌': { text: '提手旁，读 shǒu' },
+    '十': { text: '十字，读 shí' },
+    '竹': { text: '竹字头，读 zhú' },
+    '辶': { text: '走之底，读 zǒu', examples: '这进远' },
+    '山': { text: '山字旁，读 shān' },
+    '弓': { text: '弓字旁，读 gōng' },
+    '横': { text: '横（一）：从左到右的平笔，读 héng', examples: '一二三' },
+    '钅': { text: '金字旁，读 jīn' },
+    '几': { text: '几字，读 jǐ' },
+    '巾': { text: '巾字旁，读 jīn', examples: '布市帅' },
+    '口': { text: '口字旁，读 kǒu' },
+    '日': { text: '日字旁，读 rì' },
+    '⺈': { text: '刀字头，“色”“鱼”的上部', examples: '色鱼免' },
+    '力': { text: '力字，读 lì' },
+    '大': { text: '大字，读 dà' },
+    '⻊': { text: '足字旁，读 zú' },
+    '子': { text: '子字旁，读 zǐ' },
+    '西': { text: '西字头，读 xī' },
+    '疒': { text: '病字旁，读 bìng', examples: '病疼痛' },
+    '忄': { text: '竖心旁，读 xīn' },
+    '小': { text: '小字，读 xiǎo' },
+    '彐': { text: '雪字底，读 xuě' },
+    '广': { text: '广字旁，读 guǎng' },
+    '艹': { text: '草字头，读 cǎo' },
+    '车': { text: '车字旁，读 chē' },
+    '乂': { text: '“义”去掉点，读 yì', examples: '义区刈' },
+    '寸': { text: '寸字旁，读 cùn' },
+    '折': { text: '折（乛）：带转折的笔画，读 zhé', examples: '乙了也' },
+    '舟': { text: '舟字旁，读 zhōu' },
+    '宀': { text: '宝盖头，读 bǎo' },
+    '贝': { text: '贝字旁，读 bèi' },
+    '勹': { text: '包字头，读 bāo' },
+    '八': { text: '八字，读 bā' },
+    '犭': { text: '反犬旁，读 quǎn' },
+    '女': { text: '女字旁，读 nǚ' },
+    '鸟': { text: '鸟字，读 niǎo' },
+    '木': { text: '木字旁，读 mù' },
+    '门': { text: '门字框，读 mén' }
+};
+
+// 提示卡最多显示的例字数
+const HINT_EXAMPLE_LIMIT = 4;
+
+// 自定义助记文字的最大长度
+const HINT_MAX_LENGTH = 60;
+
+/**
+ * 获取字根的读法，供读屏软件朗读
+ * 笔画别名读作“笔画横”；其他字根取默认助记文字第一个逗号前的名称（如“三点水”），没有时读字根本身
+ * @param {Object} radical - 字根对象
+ */
+function getRadicalName(radical) {
+    if (radical.stroke) {
+        return `笔画${radical.char}`;
+    }
+    const text = DEFAULT_HINTS[radical.char]?.text;
+    return text ? text.split('，')[0] : radical.char;
+}
+
+/**
+ * 字根提示管理器
+ */
+class HintManager {
+    constructor() {
+        // 用户改写的助记文字：字根 -> 文字
+        this.customHints = {};
+    }
+
+    /**
+     * 获取字根的提示
+     * @param {Object} radical - 字根对象
+     * @returns {Object} { text, custom, stroke, examples, siblings }
+     */
+    getHint(radical) {
+        const defaults = DEFAULT_HINTS[radical.char] || {};
+        const custom = this.customHints[radical.char];
+
+        return {
+            text: custom || defaults.text || '',
+            custom: Boolean(custom),
+            stroke: radical.stroke,
+            examples: this.getExamples(radical.char, defaults.examples),
+            // 同键的其他字根（不直接给出按键）
+            siblings: RADICAL_LIST
+                .filter(r => r.key === radical.key && r.id !== radical.id)
+                .map(r => r.char)
+        };
+    }
+
+    /**
+     * 获取含该字根的例字：优先取整字练习数据，不足时用补充例字
+     * @param {string} char - 字根
+     * @param {string} [extra] - 补充例字
+     */
+    getExamples(char, extra = '') {
+        const examples = CHARACTER_LIST
+            .filter(c => c.radicals.includes(char))
+            .map(c => c.char);
+        for (const example of extra) {
+            if (!examples.includes(example)) {
+                examples.push(example);
+            }
+        }
+        return examples.slice(0, HINT_EXAMPLE_LIMIT);
+    }
+
+    /**
+     * 改写字根的助记文字，传入空文字时恢复默认
+     * @param {string} char - 字根
+     * @param {string} text - 助记文字
+     */
+    setHint(char, text) {
+        const trimmed = String(text || '').trim().slice(0, HINT_MAX_LENGTH);
+        if (trimmed === '' || trimmed === DEFAULT_HINTS[char]?.text) {
+            delete this.customHints[char];
+        } else {
+            this.customHints[char] = trimmed;
+        }
+    }
+
+    /**
+     * 从存储恢复自定义助记文字
+     * @param {Object} hints - 字根 -> 文字
+     */
+    restore(hints) {
+        this.customHints = {};
+        if (!hints || typeof hints !== 'object') return;
+
+        for (const [char, text] of Object.entries(hints)) {
+            if (typeof text === 'string' && text.trim() !== '') {
+                this.customHints[char] = text.slice(0, HINT_MAX_LENGTH);
+            }
+        }
+    }
+
+    /**
+     * 获取自定义助记文字（用于存储）
+     */
+    getData() {
+        return { ...this.customHints };
+    }
+}
+
+// 导出（全局变量方式）
+window.HintManager = HintManager;
+window.DEFAULT_HINTS = DEFAULT_HINTS;
+window.HINT_MAX_LENGTH = HINT_MAX_LENGTH;
+window.getRadicalName = getRadicalName;
@@ -0,0 +1,119 @@
+/**
+ * 首右plus 字根表导入模块
+ * 解析 字根.txt 的「按键:字根」行格式，生成可注册的字根方案
+ *
+ * 格式说明：
+ * - 每行一个按键，如 `Q:火龶`，按键不区分大小写，冒号可用半角或全角
+ * - 字根逐字书写，笔画别名（撇、竖、点、横、折）各占一个字
+ * - 空行会被忽略
+ */
+
+// 导入方案的ID前缀
+const CUSTOM_SCHEME_PREFIX = 'custom-';
+
+// 单行格式：按键 + 冒号 + 字根
+const TABLE_LINE_PATTERN = /^([A-Za-z])\s*[:：]\s*(.*)$/;
+
+/**
+ * 解析字根表文本
+ * @param {string} text - 字根表文件内容
+ * @returns {Object} { keys, errors }，keys 为 按键 -> 字根数组，errors 为 { line, message } 列表
+ */
+function parseRadicalTable(text) {
+    const keys = {};
+    const errors = [];
+    const keyLines = {};      // 按键 -> 定义所在行号
+    const radicalOwners = {}; // 字根 -> { key, line }
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.replace(/^\uFEFF/, '').trim();
+        if (line === '') return;
+
+        const match = line.match(TABLE_LINE_PATTERN);
+        if (!match) {
+            errors.push({ line: lineNumber, message: `格式错误，应为「按键:字根」：${line}` });
+            return;
+        }
+
+        const key = match[1].toUpperCase();
+        const radicals = [...match[2].replace(/\s+/g, '')];
+
+        if (keyLines[key]) {
+            errors.push({ line: lineNumber, message: `按键 ${key} 重复定义（首次定义在第 ${keyLines[key]} 行）` });
+            return;
+        }
+        keyLines[key] = lineNumber;
+
+        if (radicals.length === 0) {
+            errors.push({ line: lineNumber, message: `按键 ${key} 没有字根` });
+            return;
+        }
+
+        keys[key] = [];
+        for (const radical of radicals) {
+            const owner = radicalOwners[radical];
+            if (owner) {
+                errors.push({
+                    line: lineNumber,
+                    message: `字根「${radical}」同时分配给 ${owner.key}（第 ${owner.line} 行）和 ${key}`
+                });
+                continue;
+            }
+            radicalOwners[radical] = { key, line: lineNumber };
+            keys[key].push(radical);
+        }
+    });
+
+    if (errors.length === 0 && Object.keys(keys).length === 0) {
+        errors.push({ line: 0, message: '文件中没有任何字根' });
+    }
+
+    return { keys, errors };
+}
+
+/**
+ * 由字根表文本生成字根方案
+ * 笔画别名沿用内置方案的定义
+ * @param {string} text - 字根表文件内容
+ * @param {string} name - 方案名称
+ * @returns {Object} { scheme, errors }，有错误时 scheme 为 null
+ */
+function createSchemeFromTable(text, name) {
+    const { keys, errors } = parseRadicalTable(text);
+    if (errors.length > 0) {
+        return { scheme: null, errors };
+    }
+
+    const strokes = {};
+    for (const radicals of Object.values(keys)) {
+        for (const radical of radicals) {
+            if (SHOUYOU_PLUS_SCHEME.strokes[radical]) {
+                strokes[radical] = SHOUYOU_PLUS_SCHEME.strokes[radical];
+            }
+        }
+    }
+
+    const scheme = {
+        id: `${CUSTOM_SCHEME_PREFIX}${Date.now().toString(36)}`,
+        name: name || '自定义方案',
+        rows: SHOUYOU_PLUS_SCHEME.rows,
+        strokes,
+        keys
+    };
+
+    return { scheme, errors: [] };
+}
+
+/**
+ * 判断是否为导入的自定义方案
+ * @param {string} schemeId - 方案ID
+ */
+function isCustomScheme(schemeId) {
+    return schemeId.startsWith(CUSTOM_SCHEME_PREFIX);
+}
+
+// 导出（全局变量方式）
+window.parseRadicalTable = parseRadicalTable;
+window.createSchemeFromTable = createSchemeFromTable;
+window.isCustomScheme = isCustomScheme;
@@ -0,0 +1,26 @@
+/**
+ * 首右plus 课程数据
+ * 分组解锁练习的课程按方案定义：先练笔画和最常用的偏旁，再逐组加入其余字根
+ * 每组写成字根字符串，笔画别名（撇、竖、点、横、折）各占一个字
+ * 课程中没有列出的字根会自动归入最后的“其余字根”组
+ */
+
+// 内置课程：方案ID -> 课程分组
+const LESSONS = {
+    'shouyou-plus': [
+        { name: '笔画', radicals: '撇竖点横折' },
+        { name: '常用偏旁（一）', radicals: '亻氵扌口讠' },
+        { name: '常用偏旁（二）', radicals: '艹宀纟木日' },
+        { name: '常用偏旁（三）', radicals: '土月女钅忄' },
+        { name: '独体字根（一）', radicals: '王禾田目十' },
+        { name: '独体字根（二）', radicals: '山大小子门' },
+        { name: '偏旁补充', radicals: '彳阝刂辶饣犭' },
+        { name: '常用字根', radicals: '火又雨虫石尸' },
+        { name: '字根补充（一）', radicals: '车贝鸟力竹弓' },
+        { name: '字根补充（二）', radicals: '几巾西疒广寸' },
+        { name: '少见字根', radicals: '龶亠攵厶⻊彐乂八勹舟⺈' }
+    ]
+};
+
+// 导出（全局变量方式）
+window.LESSONS = LESSONS;
@@ -3,21 +3,92 @@
  * 处理用户交互、反馈显示和状态管理
  */
 
+// 用户下拉框中“新建用户”选项的值
+const NEW_PROFILE_OPTION = '__new__';
+
+// 练习模式 -> 显示名称
+const PRACTICE_MODES = {
+    radical: '字根',
+    character: '整字',
+    reverse: '反向'
+};
+
+// 挑战时长下拉框中“自定义”选项的值
+const CUSTOM_DURATION_OPTION = 'custom';
+
 class PracticeApp {
     constructor() {
         // 管理器实例
         this.radicalManager = new RadicalManager();
+        this.characterManager = new CharacterManager();
+        this.reverseDrill = new ReverseDrill(this.radicalManager);
+        this.curriculum = new Curriculum(buildLessonGroups(ACTIVE_SCHEME));
+        this.hintManager = new HintManager();
+        this.audio = new AudioFeedback();
+        this.practiceSettings = new PracticeSettings();
+        this.radicalManager.setCurriculum(this.curriculum);
+        this.sessionManager = new SessionManager();
         this.storageManager = new StorageManager();
         
+        // 当前用户已被删除时不再写入存储（避免页面刷新前把进度写回已删除的用户）
+        this.storageDetached = false;
+        
+        // 字根图（在缓存 DOM 元素后创建）
+        this.radicalChart = null;
+        
+        // 练习模式：radical（字根）/ character（整字）/ reverse（反向：按键 -> 字根）
+        this.mode = 'radical';
+        
         // 当前字根
         this.currentRadical = null;
         
+        // 当前整字及正在输入的键序号（0 为首字根，1 为末字根）
+        this.currentCharacter = null;
+        this.keyIndex = 0;
+        
+        // 当前整字是否出现过错误（决定整字是否算一次打对）
+        this.characterHadError = false;
+        
+        // 反向练习的当前题目、已选字根ID、是否已提交
+        this.currentQuestion = null;
+        this.reverseSelected = new Set();
+        this.reverseSubmitted = false;
+        
+        // 当前字根（反向模式为当前题目）出现的时间（用于计算反应时间）
+        this.radicalShownAt = 0;
+        
+        // 进行中的限时挑战及其倒计时定时器
+        this.challenge = null;
+        this.challengeTimer = null;
+        
+        // 限时挑战个人最好成绩
+        this.leaderboard = new ChallengeLeaderboard();
+        
+        // 配色主题与动画设置（见 themes.js）
+        this.theme = DEFAULT_THEME;
+        this.motion = DEFAULT_MOTION;
+        
+        // 字根图模式（见 chart.js 的 CHART_MODES）
+        this.chartMode = DEFAULT_CHART_MODE;
+        
+        // 当前打开的对话框（打开时全局按键交给对话框）
+        this.activeDialog = null;
+        
         // 答案是否已显示
         this.answerRevealed = false;
         
+        // 当前字根的提示卡是否已显示（第一次答错只显示提示，不显示按键）
+        this.hintShown = false;
+        
         // 是否正在过渡到下一个字根（防止快速连续按键导致跳过字根）
         this.isTransitioning = false;
         
+        // 输入框是否正在输入法组字（组字期间的输入不作答）
+        this.isComposing = false;
+        
+        // 是否使用触屏键盘
+        this.touchMode = false;
+        
         // 统计数据
         this.stats = {
             totalAttempts: 0,
@@ -37,31 +108,88 @@ class PracticeApp {
         // 连击消息定时器（独立于反馈定时器）
         this.comboMessageTimer = null;
         
-        // 初始化
-        this.init();
+        // 初始化（失败时显示提示，避免只留下空白页面）
+        this.init().catch(error => this.handleInitError(error));
+    }
+    
+    /**
+     * 初始化失败：记录错误，并在反馈区（没有时在页面顶部）提示刷新重试
+     * @param {Error} error - 错误
+     */
+    handleInitError(error) {
+        console.error('初始化失败:', error);
+        
+        const message = document.createElement('p');
+        message.className = 'feedback-msg wrong';
+        message.setAttribute('role', 'alert');
+        message.textContent = '练习加载失败，请刷新页面重试。';
+        
+        const container = document.getElementById('feedback-message');
+        if (container) {
+            container.replaceChildren(message);
+        } else {
+            document.body.prepend(message);
+        }
     }
     
     /**
      * 初始化应用
      */
-    init() {
+    async init() {
         // 缓存 DOM 元素
         this.cacheElements();
         
-        // 恢复存储的数据
+        // 检测字根能否用字体显示，不能显示的改用内置字形
+        await glyphChecker.check(RADICAL_LIST.map(r => r.char));
+        this.updateGlyphReport();
+        
+        // 按当前方案生成字根图
+        this.radicalChart = new RadicalChart(this.elements.radicalKeyboard, ACTIVE_SCHEME);
+        this.radicalChart.render();
+        if (this.elements.chartTitle) {
+            this.elements.chartTitle.textContent = `${ACTIVE_SCHEME.name}字根图`;
+        }
+        
+        // 按当前方案生成触屏键盘
+        this.touchKeyboard = new TouchKeyboard(this.elements.touchKeyboard, ACTIVE_SCHEME, {
+            onKey: (key) => this.checkAnswer(key),
+            onReveal: () => this.revealAnswer()
+        });
+        this.touchKeyboard.render();
+        
+        // 打开存储并恢复数据
+        await this.storageManager.open();
         this.restoreFromStorage();
         
         // 绑定事件
         this.bindEvents();
         
-        // 显示第一个字根
-        this.showNextRadical();
+        // 显示第一个练习项
+        this.showNext();
         
         // 更新 UI
         this.updateUI();
         
         // 聚焦输入框
         this.focusInput();
+        
+        // 进度读取失败时提醒用户：本次练习不会保存
+        if (this.storageManager.hasLoadFailed()) {
+            this.showLoadFailedNotice();
+        }
+    }
+    
+    /**
+     * 提示进度读取失败：存储中的进度原样保留，本次练习不保存，刷新页面可重新读取
+     */
+    showLoadFailedNotice() {
+        this.showDialog(`
+            <div class="completion-content">
+                <h2 class="completion-title">练习进度读取失败</h2>
+                <p class="completion-subtitle">已保存的进度没有被改动，但本次练习不会保存。请刷新页面重试。</p>
+                <button class="completion-btn" data-close>知道了</button>
+            </div>
+        `);
     }
     
     /**
@@ -72,7 +200,16 @@ class PracticeApp {
             radicalChar: document.getElementById('radical-char'),
             keyHint: document.getElementById('key-hint'),
             keyHintContainer: document.getElementById('key-hint-container'),
+            // 提示卡相关元素
+            hintCard: document.getElementById('hint-card'),
+            hintStroke: document.getElementById('hint-stroke'),
+            hintText: document.getElementById('hint-text'),
+            hintEditBtn: document.getElementById('hint-edit-btn'),
+            hintExamples: document.getElementById('hint-examples'),
+            hintSiblings: document.getElementById('hint-siblings'),
             inputField: document.getElementById('input-field'),
+            touchKeyboard: document.getElementById('touch-keyboard'),
+            touchModeToggle: document.getElementById('touch-mode-toggle'),
             feedbackIcon: document.getElementById('feedback-icon'),
             iconCorrect: document.getElementById('icon-correct'),
             iconWrong: document.getElementById('icon-wrong'),
@@ -81,17 +218,78 @@ class PracticeApp {
             totalCount: document.getElementById('total-count'),
             progressBar: document.getElementById('progress-bar'),
             accuracy: document.getElementById('accuracy'),
+            avgLatency: document.getElementById('avg-latency'),
+            p90Latency: document.getElementById('p90-latency'),
             combo: document.getElementById('combo'),
             comboMultiplier: document.getElementById('combo-multiplier'),
             multiplierValue: document.getElementById('multiplier-value'),
             maxCombo: document.getElementById('max-combo'),
             resetBtn: document.getElementById('reset-btn'),
+            historyBtn: document.getElementById('history-btn'),
+            settingsBtn: document.getElementById('settings-btn'),
             // 字根图相关元素
             radicalChartSection: document.getElementById('radical-chart-section'),
             toggleChartBtn: document.getElementById('toggle-chart-btn'),
             toggleChartText: document.getElementById('toggle-chart-text'),
             closeChartBtn: document.getElementById('close-chart-btn'),
-            radicalKeyboard: document.getElementById('radical-keyboard')
+            radicalKeyboard: document.getElementById('radical-keyboard'),
+            glyphReport: document.getElementById('glyph-report'),
+            chartTitle: document.getElementById('chart-title'),
+            heatmapToggle: document.getElementById('heatmap-toggle'),
+            chartModeSelect: document.getElementById('chart-mode-select'),
+            chartLegend: document.getElementById('chart-legend'),
+            schemeSelect: document.getElementById('scheme-select'),
+            importSchemeBtn: document.getElementById('import-scheme-btn'),
+            deleteSchemeBtn: document.getElementById('delete-scheme-btn'),
+            schemeFileInput: document.getElementById('scheme-file-input'),
+            schemeImportErrors: document.getElementById('scheme-import-errors'),
+            // 用户相关元素
+            profileSelect: document.getElementById('profile-select'),
+            renameProfileBtn: document.getElementById('rename-profile-btn'),
+            deleteProfileBtn: document.getElementById('delete-profile-btn'),
+            // 数据备份相关元素
+            exportBackupBtn: document.getElementById('export-backup-btn'),
+            importBackupBtn: document.getElementById('import-backup-btn'),
+            backupFileInput: document.getElementById('backup-file-input'),
+            backupErrors: document.getElementById('backup-errors'),
+            // 练习模式相关元素
+            modeSwitch: document.getElementById('mode-switch'),
+            charSplit: document.getElementById('char-split'),
+            reverseDrill: document.getElementById('reverse-drill'),
+            reverseGrid: document.getElementById('reverse-grid'),
+            reverseSubmit: document.getElementById('reverse-submit'),
+            inputHint: document.getElementById('input-hint'),
+            reverseHint: document.getElementById('reverse-hint'),
+            confusedPairs: document.getElementById('confused-pairs'),
+            // 出题算法相关元素
+            algorithmSelect: document.getElementById('algorithm-select'),
+            themeSelect: document.getElementById('theme-select'),
+            motionSelect: document.getElementById('motion-select'),
+            srAnnouncer: document.getElementById('sr-announcer'),
+            // 声音设置相关元素
+            soundToggle: document.getElementById('sound-toggle'),
+            speechToggle: document.getElementById('speech-toggle'),
+            volumeRange: document.getElementById('volume-range'),
+            voiceSelect: document.getElementById('voice-select'),
+            scopeSelect: document.getElementById('scope-select'),
+            scopeCount: document.getElementById('scope-count'),
+            // 分组解锁相关元素
+            curriculumToggle: document.getElementById('curriculum-toggle'),
+            curriculumInfo: document.getElementById('curriculum-info'),
+            curriculumUnlocked: document.getElementById('curriculum-unlocked'),
+            curriculumGroups: document.getElementById('curriculum-groups'),
+            curriculumMastery: document.getElementById('curriculum-mastery'),
+            curriculumNext: document.getElementById('curriculum-next'),
+            dueTodayCount: document.getElementById('due-today-count'),
+            retentionStats: document.getElementById('retention-stats'),
+            // 限时挑战相关元素
+            challengeSetup: document.getElementById('challenge-setup'),
+            challengeDuration: document.getElementById('challenge-duration'),
+            challengeStartBtn: document.getElementById('challenge-start-btn'),
+            challengeStatus: document.getElementById('challenge-status'),
+            challengeRemaining: document.getElementById('challenge-remaining'),
+            challengeScore: document.getElementById('challenge-score'),
+            challengeStopBtn: document.getElementById('challenge-stop-btn')
         };
     }
     
@@ -106,9 +304,9 @@ class PracticeApp {
             this.stats = { ...this.stats, ...savedData.stats };
         }
         
-        // 恢复字根权重
-        if (savedData.weights) {
-            this.radicalManager.restoreWeights(savedData.weights);
+        // 恢复字根学习数据
+        if (savedData.radicals) {
+            this.radicalManager.restoreWeights(savedData.radicals);
         }
         
         // 恢复已练习字根
@@ -117,8 +315,44 @@ class PracticeApp {
         }
         
         // 恢复练习计数器
-        if (savedData.practiceCounter) {
-            this.radicalManager.restorePracticeCounter(savedData.practiceCounter);
+        this.radicalManager.restorePracticeCounter(savedData.practiceCounter);
+        
+        // 恢复尝试记录
+        this.radicalManager.restoreAttemptLog(savedData.attemptLog);
+        
+        // 恢复整字练习数据
+        if (savedData.characters) {
+            this.characterManager.restore(savedData.characters);
+        }
+        
+        // 恢复练习会话历史
+        this.sessionManager.restore(savedData.sessions);
+        
+        // 恢复限时挑战排行榜
+        this.leaderboard.restore(savedData.leaderboard);
+        
+        // 恢复自定义字根提示
+        this.hintManager.restore(savedData.hints);
+        
+        // 恢复配色主题与动画设置
+        this.setAppearance(savedData.settings.theme, savedData.settings.motion);
+        
+        // 恢复声音设置
+        this.audio.restore(savedData.settings.audio);
+        
+        // 恢复练习设置
+        this.practiceSettings.restore(savedData.settings.practice);
+        this.applyPracticeSettings();
+        
+        // 恢复出题算法
+        this.radicalManager.setAlgorithm(savedData.settings.algorithm);
+        
+        // 恢复分组解锁进度
+        this.curriculum.restore(savedData.settings.curriculum);
+        
+        // 恢复练习范围（范围内已没有字根时使用全部字根）
+        if (!this.radicalManager.setScope(savedData.settings.scope)) {
+            this.radicalManager.setScope({ id: DEFAULT_SCOPE_ID });
         }
     }
     
@@ -126,11 +360,27 @@ class PracticeApp {
      * 保存数据到存储
      */
     saveToStorage() {
+        if (this.storageDetached) return;
+        
         this.storageManager.saveState({
             stats: this.stats,
-            weights: this.radicalManager.getWeightsData(),
+            radicals: this.radicalManager.getWeightsData(),
             practicedRadicals: this.radicalManager.getPracticedData(),
-            practiceCounter: this.radicalManager.getPracticeCounter()
+            practiceCounter: this.radicalManager.getPracticeCounter(),
+            attemptLog: this.radicalManager.getAttemptLog(),
+            characters: this.characterManager.getData(),
+            sessions: this.sessionManager.getData(),
+            leaderboard: this.leaderboard.getData(),
+            hints: this.hintManager.getData(),
+            settings: {
+                algorithm: this.radicalManager.getAlgorithm(),
+                scope: this.radicalManager.getScope(),
+                curriculum: this.curriculum.getData(),
+                theme: this.theme,
+                motion: this.motion,
+                audio: this.audio.getData(),
+                practice: this.practiceSettings.getData()
+            }
         });
     }
     
@@ -141,6 +391,10 @@ class PracticeApp {
         // 输入框事件
         this.elements.inputField.addEventListener('input', (e) => this.handleInput(e));
         this.elements.inputField.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.elements.inputField.addEventListener('compositionstart', () => {
+            this.isComposing = true;
+        });
+        this.elements.inputField.addEventListener('compositionend', (e) => this.handleCompositionEnd(e));
         
         // 全局键盘事件（允许不聚焦输入框也能输入）
         document.addEventListener('keydown', (e) => this.handleGlobalKeyDown(e));
@@ -148,6 +402,16 @@ class PracticeApp {
         // 重置按钮
         this.elements.resetBtn.addEventListener('click', () => this.handleReset());
         
+        // 练习记录按钮
+        if (this.elements.historyBtn) {
+            this.elements.historyBtn.addEventListener('click', () => this.showHistory());
+        }
+        
+        // 练习设置按钮
+        if (this.elements.settingsBtn) {
+            this.elements.settingsBtn.addEventListener('click', () => this.showSettings());
+        }
+        
         // 字根图开关按钮
         if (this.elements.toggleChartBtn) {
             this.elements.toggleChartBtn.addEventListener('click', () => this.toggleRadicalChart());
@@ -158,265 +422,1764 @@ class PracticeApp {
             this.elements.closeChartBtn.addEventListener('click', () => this.hideRadicalChart());
         }
         
-        // 页面可见性变化时保存数据
+        // 触屏键盘开关
+        if (this.elements.touchModeToggle) {
+            this.elements.touchModeToggle.addEventListener('change', (e) => this.setTouchMode(e.target.checked));
+        }
+        
+        // 字根图掌握度着色开关
+        if (this.elements.heatmapToggle) {
+            this.elements.heatmapToggle.addEventListener('change', (e) => this.setHeatmap(e.target.checked));
+        }
+        
+        // 字根图模式选择
+        if (this.elements.chartModeSelect) {
+            this.elements.chartModeSelect.innerHTML = Object.entries(CHART_MODES)
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+            this.elements.chartModeSelect.addEventListener('change', (e) => this.setChartMode(e.target.value));
+        }
+        
+        // 出题算法选择
+        if (this.elements.algorithmSelect) {
+            this.renderAlgorithmOptions();
+            this.elements.algorithmSelect.addEventListener('change', (e) => {
+                this.radicalManager.setAlgorithm(e.target.value);
+                this.saveToStorage();
+                this.updateUI();
+                this.focusInput();
+            });
+        }
+        
+        // 配色主题选择
+        if (this.elements.themeSelect) {
+            this.renderThemeOptions();
+            this.elements.themeSelect.addEventListener('change', (e) => {
+                this.setAppearance(e.target.value, this.motion);
+                this.saveToStorage();
+                this.focusInput();
+            });
+        }
+        
+        // 动画设置选择
+        if (this.elements.motionSelect) {
+            this.renderMotionOptions();
+            this.elements.motionSelect.addEventListener('change', (e) => {
+                this.setAppearance(this.theme, e.target.value);
+                this.saveToStorage();
+                this.focusInput();
+            });
+        }
+        
+        // 声音设置
+        if (this.elements.soundToggle) {
+            this.renderAudioSettings();
+            this.bindAudioEvents();
+        }
+        
+        // 改写字根提示
+        if (this.elements.hintEditBtn) {
+            this.elements.hintEditBtn.addEventListener('click', () => this.editHint());
+        }
+        
+        // 分组解锁开关
+        if (this.elements.curriculumToggle) {
+            this.elements.curriculumToggle.addEventListener('change', (e) => this.setCurriculumEnabled(e.target.checked));
+        }
+        
+        // 练习范围选择
+        if (this.elements.scopeSelect) {
+            this.renderScopeOptions();
+            this.elements.scopeSelect.addEventListener('change', (e) => this.selectScope(e.target.value));
+        }
+        
+        // 字根方案选择
+        if (this.elements.schemeSelect) {
+            this.renderSchemeOptions();
+            this.elements.schemeSelect.addEventListener('change', (e) => this.switchScheme(e.target.value));
+        }
+        
+        // 导入字根表
+        if (this.elements.importSchemeBtn && this.elements.schemeFileInput) {
+            this.elements.importSchemeBtn.addEventListener('click', () => this.elements.schemeFileInput.click());
+            this.elements.schemeFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importSchemeFile(file);
+                }
+                // 允许重复选择同一个文件
+                e.target.value = '';
+            });
+        }
+        
+        // 删除当前自定义方案
+        if (this.elements.deleteSchemeBtn) {
+            this.elements.deleteSchemeBtn.classList.toggle('hidden', !isCustomScheme(ACTIVE_SCHEME.id));
+            this.elements.deleteSchemeBtn.addEventListener('click', () => this.deleteActiveScheme());
+        }
+        
+        // 用户切换、新建、重命名、删除
+        if (this.elements.profileSelect) {
+            this.renderProfileOptions();
+            this.elements.profileSelect.addEventListener('change', (e) => {
+                if (e.target.value === NEW_PROFILE_OPTION) {
+                    this.createProfile();
+                } else {
+                    this.switchProfile(e.target.value);
+                }
+            });
+        }
+        if (this.elements.renameProfileBtn) {
+            this.elements.renameProfileBtn.addEventListener('click', () => this.renameActiveProfile());
+        }
+        if (this.elements.deleteProfileBtn) {
+            this.elements.deleteProfileBtn.classList.toggle('hidden', this.storageManager.profileId === DEFAULT_PROFILE_ID);
+            this.elements.deleteProfileBtn.addEventListener('click', () => this.deleteActiveProfile());
+        }
+        
+        // 导出备份
+        if (this.elements.exportBackupBtn) {
+            this.elements.exportBackupBtn.addEventListener('click', () => this.exportBackup());
+        }
+        
+        // 导入备份
+        if (this.elements.importBackupBtn && this.elements.backupFileInput) {
+            this.elements.importBackupBtn.addEventListener('click', () => this.elements.backupFileInput.click());
+            this.elements.backupFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importBackupFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        // 限时挑战
+        if (this.elements.challengeDuration) {
+            this.renderChallengeOptions();
+        }
+        if (this.elements.challengeStartBtn) {
+            this.elements.challengeStartBtn.addEventListener('click', () => this.startChallenge());
+        }
+        if (this.elements.challengeStopBtn) {
+            this.elements.challengeStopBtn.addEventListener('click', () => this.abortChallenge());
+        }
+        
+        // 练习模式切换
+        if (this.elements.modeSwitch) {
+            this.elements.modeSwitch.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-mode]');
+                if (btn) {
+                    this.setMode(btn.dataset.mode);
+                }
+            });
+        }
+        
+        // 反向练习：点击选项、确认
+        if (this.elements.reverseGrid) {
+            this.elements.reverseGrid.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-option-index]');
+                if (option) {
+                    this.toggleReverseOption(Number(option.dataset.optionIndex));
+                }
+            });
+        }
+        if (this.elements.reverseSubmit) {
+            this.elements.reverseSubmit.addEventListener('click', () => this.submitReverse());
+        }
+        
+        // 页面可见性变化时保存数据并立即落盘
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
                 this.saveToStorage();
+                this.storageManager.flush();
             }
         });
         
-        // 页面卸载前保存数据
+        // 页面卸载前保存数据并立即落盘
         window.addEventListener('beforeunload', () => {
             this.saveToStorage();
+            this.storageManager.flush();
         });
         
         // 恢复字根图显示状态
         this.restoreChartState();
+        
+        // 恢复字根图着色方式
+        this.restoreHeatmapState();
+        
+        // 恢复字根图模式
+        this.restoreChartMode();
+        
+        // 恢复触屏键盘开关
+        this.restoreTouchMode();
+        
+        // 恢复练习模式
+        this.restoreModeState();
     }
     
     /**
-     * 切换字根图显示/隐藏
+     * 生成出题算法选项
      */
-    toggleRadicalChart() {
-        const { radicalChartSection } = this.elements;
-        if (radicalChartSection) {
-            const isHidden = radicalChartSection.classList.contains('hidden');
-            if (isHidden) {
-                this.showRadicalChart();
-            } else {
-                this.hideRadicalChart();
-            }
-        }
+    renderAlgorithmOptions() {
+        const { algorithmSelect } = this.elements;
+        algorithmSelect.innerHTML = Object.entries(SELECTION_ALGORITHMS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        algorithmSelect.value = this.radicalManager.getAlgorithm();
     }
     
     /**
-     * 显示字根图
+     * 生成配色主题选项
      */
-    showRadicalChart() {
-        const { radicalChartSection, toggleChartText } = this.elements;
-        if (radicalChartSection) {
-            radicalChartSection.classList.remove('hidden');
-            if (toggleChartText) {
-                toggleChartText.textContent = '隐藏字根图';
-            }
-            // 保存状态
-            this.saveChartState(true);
-        }
+    renderThemeOptions() {
+        const { themeSelect } = this.elements;
+        themeSelect.innerHTML = Object.entries(THEMES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        themeSelect.value = this.theme;
     }
     
     /**
-     * 隐藏字根图
+     * 生成动画设置选项
      */
-    hideRadicalChart() {
-        const { radicalChartSection, toggleChartText } = this.elements;
-        if (radicalChartSection) {
-            radicalChartSection.classList.add('hidden');
-            if (toggleChartText) {
-                toggleChartText.textContent = '显示字根图';
-            }
-            // 保存状态
-            this.saveChartState(false);
-        }
-        // 聚焦输入框
-        this.focusInput();
+    renderMotionOptions() {
+        const { motionSelect } = this.elements;
+        motionSelect.innerHTML = Object.entries(MOTION_MODES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        motionSelect.value = this.motion;
     }
     
     /**
-     * 保存字根图显示状态
+     * 应用配色主题与动画设置，并另存为用户偏好，下次加载时在首次绘制前应用（见 themes.js）
+     * @param {string} theme - 主题ID
+     * @param {string} motion - 动画设置ID
      */
-    saveChartState(isVisible) {
-        try {
-            localStorage.setItem('shouyou_plus_chart_visible', isVisible ? 'true' : 'false');
-        } catch (e) {
-            console.warn('保存字根图状态失败:', e);
-        }
+    setAppearance(theme, motion) {
+        this.theme = applyTheme(theme);
+        this.motion = applyMotion(motion);
+        this.storageManager.setPreference('theme', this.theme);
+        this.storageManager.setPreference('motion', this.motion);
     }
     
     /**
-     * 恢复字根图显示状态
+     * 按当前声音设置更新设置控件；浏览器不支持的功能禁用对应控件
      */
-    restoreChartState() {
-        try {
-            const isVisible = localStorage.getItem('shouyou_plus_chart_visible') === 'true';
-            if (isVisible) {
-                this.showRadicalChart();
-            }
-        } catch (e) {
-            console.warn('恢复字根图状态失败:', e);
-        }
+    renderAudioSettings() {
+        const { soundToggle, speechToggle, volumeRange, voiceSelect } = this.elements;
+        const { sound, speech, volume } = this.audio.getData();
+        const speechSupported = this.audio.isSpeechSupported();
+        
+        soundToggle.checked = sound;
+        soundToggle.disabled = !this.audio.isSoundSupported();
+        speechToggle.checked = speech;
+        speechToggle.disabled = !speechSupported;
+        volumeRange.value = Math.round(volume * 100);
+        voiceSelect.disabled = !speechSupported || !speech;
+        this.renderVoiceOptions();
     }
     
     /**
-     * 高亮字根图中的按键
-     * @param {string} key - 按键字符
+     * 生成朗读语音选项（语音列表可能在页面加载后才就绪）
      */
-    highlightKey(key) {
-        const { radicalKeyboard } = this.elements;
-        if (!radicalKeyboard) return;
+    renderVoiceOptions() {
+        const { voiceSelect } = this.elements;
+        const { voice } = this.audio.getData();
+        const voices = this.audio.getVoices();
+        
+        voiceSelect.innerHTML = '';
+        voiceSelect.appendChild(new Option('系统默认语音', ''));
+        voices.forEach(v => {
+            voiceSelect.appendChild(new Option(`${v.name}（${v.lang}）`, v.voiceURI));
+        });
+        voiceSelect.value = voices.some(v => v.voiceURI === voice) ? voice : '';
+    }
+    
+    /**
+     * 绑定声音设置控件：修改后立即保存，并用当前设置试听一次
+     */
+    bindAudioEvents() {
+        const { soundToggle, speechToggle, volumeRange, voiceSelect } = this.elements;
+        const previewSpeech = () => {
+            if (this.currentRadical) {
+                this.audio.speak(getRadicalName(this.currentRadical));
+            }
+        };
         
-        // 移除之前的高亮
-        const prevHighlight = radicalKeyboard.querySelector('.key-cell.highlight');
-        if (prevHighlight) {
-            prevHighlight.classList.remove('highlight');
-        }
+        soundToggle.addEventListener('change', (e) => {
+            this.updateAudio({ sound: e.target.checked });
+            this.audio.play('correct');
+        });
+        speechToggle.addEventListener('change', (e) => {
+            this.updateAudio({ speech: e.target.checked });
+            voiceSelect.disabled = !e.target.checked;
+            previewSpeech();
+        });
+        volumeRange.addEventListener('input', (e) => {
+            this.audio.update({ volume: Number(e.target.value) / 100 });
+        });
+        volumeRange.addEventListener('change', (e) => {
+            this.updateAudio({ volume: Number(e.target.value) / 100 });
+            this.audio.play('correct');
+        });
+        voiceSelect.addEventListener('change', (e) => {
+            this.updateAudio({ voice: e.target.value });
+            previewSpeech();
+        });
         
-        // 添加新的高亮
-        const keyCell = radicalKeyboard.querySelector(`[data-key="${key.toUpperCase()}"]`);
-        if (keyCell) {
-            keyCell.classList.add('highlight');
+        if (this.audio.isSpeechSupported()) {
+            window.speechSynthesis.addEventListener?.('voiceschanged', () => this.renderVoiceOptions());
         }
     }
     
     /**
-     * 清除字根图高亮
+     * 修改并保存声音设置
+     * @param {Object} changes - 要修改的设置项
      */
-    clearKeyHighlight() {
-        const { radicalKeyboard } = this.elements;
-        if (!radicalKeyboard) return;
-        
-        const highlighted = radicalKeyboard.querySelector('.key-cell.highlight');
-        if (highlighted) {
-            highlighted.classList.remove('highlight');
+    updateAudio(changes) {
+        this.audio.update(changes);
+        this.saveToStorage();
+    }
+    
+    /**
+     * 让练习设置生效（恢复数据和修改设置后调用）
+     */
+    applyPracticeSettings() {
+        this.radicalManager.setCandidatePoolSize(this.practiceSettings.get('candidatePool'));
+    }
+    
+    /**
+     * 开启或关闭分组解锁
+     * 开启时按已有的掌握程度直接解锁到对应分组，再重新出题
+     * @param {boolean} enabled - 是否开启
+     */
+    setCurriculumEnabled(enabled) {
+        this.curriculum.setEnabled(enabled);
+        if (enabled) {
+            this.curriculum.update(this.radicalManager.radicalData);
         }
+        this.saveToStorage();
+        this.showNext();
+        this.updateUI();
     }
     
     /**
-     * 处理输入事件
+     * 作答后检查是否解锁了新的字根组
      */
-    handleInput(e) {
-        const input = e.target.value.trim().toUpperCase();
-        
-        if (input.length === 0) return;
-        
-        // 检查答案
-        this.checkAnswer(input);
+    checkCurriculumUnlock() {
+        if (!this.curriculum.isEnabled()) return;
         
-        // 清空输入框
-        this.elements.inputField.value = '';
+        const unlocked = this.curriculum.update(this.radicalManager.radicalData);
+        if (unlocked.length > 0) {
+            const names = unlocked.map(group => `「${group.name}」`).join('');
+            this.showOverlayMessage(`<span class="feedback-msg combo unlock">🔓 解锁${names}</span>`);
+        }
     }
     
     /**
-     * 处理键盘按下事件
+     * 生成练习范围选项（预设范围和自定义范围）
      */
-    handleKeyDown(e) {
-        // 空格键显示答案
-        if (e.key === ' ' || e.code === 'Space') {
-            e.preventDefault();
-            this.revealAnswer();
+    renderScopeOptions() {
+        const { scopeSelect } = this.elements;
+        const scope = this.radicalManager.getScope();
+        
+        scopeSelect.innerHTML = '';
+        for (const [id, preset] of Object.entries(PRACTICE_SCOPES)) {
+            scopeSelect.appendChild(new Option(preset.name, id));
         }
+        const customLabel = scope.id === CUSTOM_SCOPE_ID ? getScopeName(scope) : '自定义…';
+        scopeSelect.appendChild(new Option(customLabel, CUSTOM_SCOPE_ID));
+        scopeSelect.value = scope.id;
     }
     
     /**
-     * 处理全局键盘事件
+     * 选择练习范围；选“自定义”时询问要练习的按键或字根
+     * @param {string} id - 范围ID
      */
-    handleGlobalKeyDown(e) {
-        // 如果焦点在输入框，不处理
-        if (document.activeElement === this.elements.inputField) return;
-        
-        // 忽略功能键
-        if (e.ctrlKey || e.altKey || e.metaKey) return;
+    selectScope(id) {
+        if (id !== CUSTOM_SCOPE_ID) {
+            this.applyScope({ id });
+            return;
+        }
         
-        // 空格键显示答案
-        if (e.key === ' ' || e.code === 'Space') {
-            e.preventDefault();
-            this.revealAnswer();
+        const current = this.radicalManager.getScope();
+        const input = prompt(
+            '输入要练习的按键或字根，例如「ASDF」或「氵扌口」：',
+            current.id === CUSTOM_SCOPE_ID ? current.text : ''
+        );
+        if (input === null) {
+            this.renderScopeOptions();
             return;
         }
         
-        // 字母键
-        if (/^[a-zA-Z]$/.test(e.key)) {
-            e.preventDefault();
-            this.checkAnswer(e.key.toUpperCase());
+        const text = input.trim();
+        const { unknown } = parseScopeText(text);
+        if (resolveScopeRadicals({ id, text }).length === 0) {
+            alert('没有匹配到当前方案中的按键或字根');
+            this.renderScopeOptions();
+            return;
+        }
+        if (unknown.length > 0) {
+            alert(`以下按键或字根不在当前方案中，已忽略：${unknown.join(' ')}`);
         }
+        this.applyScope({ id, text });
     }
     
     /**
-     * 检查答案
+     * 切换练习范围并重新出题
+     * 进行中的限时挑战会被放弃
+     * @param {Object} scope - 范围设置
      */
-    checkAnswer(input) {
-        if (!this.currentRadical) return;
-        
-        // 如果正在过渡到下一个字根，忽略输入（防止快速连续按键导致跳过字根）
-        if (this.isTransitioning) return;
-        
-        const isCorrect = this.radicalManager.checkAnswer(input, this.currentRadical);
-        
-        this.stats.totalAttempts++;
+    applyScope(scope) {
+        if (!this.radicalManager.setScope(scope)) return;
         
-        if (isCorrect) {
-            this.handleCorrect();
-        } else {
-            this.handleWrong(input);
+        if (this.challenge) {
+            this.abortChallenge();
         }
-        
-        // 更新 UI 和保存
-        this.updateUI();
+        this.renderScopeOptions();
         this.saveToStorage();
+        this.showNext();
+        this.updateUI();
     }
     
     /**
-     * 处理正确答案
+     * 生成字根方案选项
      */
-    handleCorrect() {
-        this.stats.correctCount++;
-        this.stats.currentCombo++;
-        
-        // 更新最高连击
-        if (this.stats.currentCombo > this.stats.maxCombo) {
-            this.stats.maxCombo = this.stats.currentCombo;
-        }
-        
-        // 检查是否是首次练习该字根（用于完成提示）
-        const wasAllPracticed = this.radicalManager.isAllPracticed();
+    renderSchemeOptions() {
+        const { schemeSelect } = this.elements;
+        schemeSelect.innerHTML = '';
+        getSchemeList().forEach(scheme => {
+            const option = document.createElement('option');
+            option.value = scheme.id;
+            option.textContent = scheme.name;
+            schemeSelect.appendChild(option);
+        });
+        schemeSelect.value = ACTIVE_SCHEME.id;
+    }
+    
+    /**
+     * 生成用户选项（末尾为“新建用户”）
+     */
+    renderProfileOptions() {
+        const { profileSelect } = this.elements;
+        const { profiles } = this.storageManager.loadProfiles();
         
-        // 标记为已练习
-        this.radicalManager.markPracticed(this.currentRadical.id);
-        this.stats.practicedCount = this.radicalManager.getPracticedCount();
+        profileSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            profileSelect.appendChild(new Option(profile.name, profile.id));
+        });
+        profileSelect.appendChild(new Option('＋ 新建用户…', NEW_PROFILE_OPTION));
+        profileSelect.value = this.storageManager.profileId;
+    }
+    
+    /**
+     * 切换用户
+     * 用户的方案、进度和偏好在启动时载入，切换后保存当前进度并重新加载页面
+     * @param {string} profileId - 用户ID
+     */
+    async switchProfile(profileId) {
+        if (profileId === this.storageManager.profileId) return;
+        
+        this.saveToStorage();
+        await this.storageManager.flush();
+        if (this.storageManager.setActiveProfileId(profileId)) {
+            window.location.reload();
+        }
+    }
+    
+    /**
+     * 新建用户并切换过去
+     */
+    createProfile() {
+        const name = prompt('新用户的名字：');
+        if (name === null) {
+            this.renderProfileOptions();
+            return;
+        }
+        
+        try {
+            const profile = this.storageManager.createProfile(name);
+            this.switchProfile(profile.id);
+        } catch (e) {
+            alert(e.message);
+            this.renderProfileOptions();
+        }
+    }
+    
+    /**
+     * 重命名当前用户
+     */
+    renameActiveProfile() {
+        const { profiles } = this.storageManager.loadProfiles();
+        const current = profiles.find(p => p.id === this.storageManager.profileId);
+        const name = prompt('新的用户名：', current ? current.name : '');
+        if (name === null) return;
+        
+        try {
+            this.storageManager.renameProfile(this.storageManager.profileId, name);
+            this.renderProfileOptions();
+        } catch (e) {
+            alert(e.message);
+        }
+    }
+    
+    /**
+     * 删除当前用户及其全部进度，并切回默认用户
+     */
+    async deleteActiveProfile() {
+        const { profileId } = this.storageManager;
+        if (profileId === DEFAULT_PROFILE_ID) return;
+        
+        const { profiles } = this.storageManager.loadProfiles();
+        const current = profiles.find(p => p.id === profileId);
+        if (!confirm(`确定要删除用户「${current ? current.name : profileId}」及其全部进度吗？`)) return;
+        
+        this.storageDetached = true;
+        await this.storageManager.deleteProfile(profileId);
+        window.location.reload();
+    }
+    
+    /**
+     * 切换字根方案
+     * 字根列表在启动时由方案生成，切换后保存进度并重新加载页面
+     * 所有方案共用一份进度，新方案没有的字根和整字的进度原样保留（见 RadicalManager.otherRadicalData）
+     * @param {string} schemeId - 方案ID
+     */
+    async switchScheme(schemeId) {
+        if (schemeId === ACTIVE_SCHEME.id) return;
+        
+        this.saveToStorage();
+        await this.storageManager.flush();
+        if (setActiveSchemeId(schemeId)) {
+            window.location.reload();
+        }
+    }
+    
+    /**
+     * 导入字根表文件，成功后切换到导入的方案
+     * @param {File} file - 「按键:字根」格式的文本文件
+     */
+    async importSchemeFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (e) {
+            this.showImportErrors([{ line: 0, message: `读取文件失败：${e.message}` }]);
+            return;
+        }
+        
+        const name = file.name.replace(/\.[^.]+$/, '');
+        const { scheme, errors } = createSchemeFromTable(text, name);
+        if (errors.length > 0) {
+            this.showImportErrors(errors);
+            return;
+        }
+        
+        this.showImportErrors([]);
+        if (this.storageManager.saveCustomScheme(scheme)) {
+            this.switchScheme(scheme.id);
+        } else {
+            this.showImportErrors([{ line: 0, message: '保存方案失败，存储空间可能已满' }]);
+        }
+    }
+    
+    /**
+     * 显示字根表导入错误（带行号）
+     * @param {Array} errors - { line, message } 列表，为空时隐藏
+     */
+    showImportErrors(errors) {
+        const { schemeImportErrors } = this.elements;
+        if (!schemeImportErrors) return;
+        
+        schemeImportErrors.innerHTML = '';
+        errors.forEach(({ line, message }) => {
+            const item = document.createElement('li');
+            item.textContent = line > 0 ? `第 ${line} 行：${message}` : message;
+            schemeImportErrors.appendChild(item);
+        });
+        schemeImportErrors.classList.toggle('hidden', errors.length === 0);
+    }
+
+    /**
+     * 在字根图下方说明哪些字根改用了内置字形、哪些无法显示
+     * 无法显示的字根没有可用的字形，只能按所在按键列出
+     */
+    updateGlyphReport() {
+        const { glyphReport } = this.elements;
+        if (!glyphReport) return;
+
+        const { fallback, missing } = getGlyphReport(RADICAL_LIST.map(r => r.char));
+        const lines = [];
+        if (fallback.length > 0) {
+            lines.push(`当前字体缺少以下字根，已改用内置字形显示：${fallback.map(glyphHTML).join(' ')}`);
+        }
+        if (missing.length > 0) {
+            const keys = RADICAL_LIST.filter(r => missing.includes(r.char)).map(r => r.key);
+            lines.push(`${missing.length} 个字根无法显示（所在按键：${[...new Set(keys)].join(' ')}）`);
+        }
+
+        glyphReport.innerHTML = lines.map(line => `<span>${line}</span>`).join('');
+        glyphReport.classList.toggle('hidden', lines.length === 0);
+    }
+
+    /**
+     * 把当前进度导出为 JSON 文件
+     */
+    exportBackup() {
+        this.saveToStorage();
+        
+        const blob = new Blob([this.storageManager.exportData()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `shouyou-plus-backup-${this.sessionManager.formatDate(Date.now())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * 读取备份文件，校验通过后显示导入预览
+     * @param {File} file - 用户选择的备份文件
+     */
+    async importBackupFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (e) {
+            this.showBackupErrors([`读取文件失败：${e.message}`]);
+            return;
+        }
+        
+        const { data, errors } = this.storageManager.parseBackup(text);
+        this.showBackupErrors(errors);
+        if (data) {
+            this.showImportPreview(text, data);
+        }
+    }
+    
+    /**
+     * 显示备份导入错误
+     * @param {Array<string>} errors - 错误信息列表，为空时隐藏
+     */
+    showBackupErrors(errors) {
+        const { backupErrors } = this.elements;
+        if (!backupErrors) return;
+        
+        backupErrors.innerHTML = '';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            backupErrors.appendChild(item);
+        });
+        backupErrors.classList.toggle('hidden', errors.length === 0);
+    }
+    
+    /**
+     * 显示导入预览：对比本机、合并后和覆盖后的进度，由用户选择合并或覆盖
+     * @param {string} text - 备份文件内容
+     * @param {Object} incoming - 解析后的备份数据
+     */
+    showImportPreview(text, incoming) {
+        // 先保存，保证预览对比的是最新进度
+        this.saveToStorage();
+        const current = this.storageManager.load();
+        const merged = this.storageManager.mergeData(current, incoming);
+        
+        const summarize = data => {
+            const { totalAttempts, correctCount } = data.stats;
+            return [
+                data.practicedRadicals.length,
+                data.characters.practiced.length,
+                totalAttempts,
+                totalAttempts > 0 ? `${Math.round((correctCount / totalAttempts) * 100)}%` : '—',
+                data.sessions.length,
+                data.lastPracticeTime ? new Date(data.lastPracticeTime).toLocaleString('zh-CN') : '—'
+            ];
+        };
+        const labels = ['已练习字根', '已练习整字', '作答次数', '正确率', '练习会话', '最后练习'];
+        const columns = [summarize(current), summarize(merged), summarize(incoming)];
+        const rows = labels.map((label, i) => `
+            <tr><td>${label}</td>${columns.map(column => `<td>${column[i]}</td>`).join('')}</tr>
+        `).join('');
+        
+        const changedRadicals = Object.keys(merged.radicals)
+            .filter(id => JSON.stringify(merged.radicals[id]) !== JSON.stringify(current.radicals[id]))
+            .length;
+        const unknownRadicals = Object.keys(incoming.radicals)
+            .filter(id => !this.radicalManager.radicalData[id])
+            .length;
+        const notes = [`合并会更新 ${changedRadicals} 个字根的学习记录。`];
+        if (unknownRadicals > 0) {
+            notes.push(`备份中有 ${unknownRadicals} 个字根不在当前方案「${ACTIVE_SCHEME.name}」中，会保留在存储里但不参与练习。`);
+        }
+        
+        const { modal, close } = this.showDialog(`
+            <div class="completion-content history-content">
+                <h2 class="completion-title">导入备份</h2>
+                <div class="history-table-wrap">
+                    <table class="history-table">
+                        <thead>
+                            <tr><th></th><th>本机</th><th>合并后</th><th>覆盖后</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${notes.map(note => `<p class="backup-note">${note}</p>`).join('')}
+                <div class="backup-actions">
+                    <button class="completion-btn" data-action="merge">合并</button>
+                    <button class="backup-btn-secondary" data-action="replace">覆盖本机进度</button>
+                    <button class="backup-btn-secondary" data-close>取消</button>
+                </div>
+            </div>
+        `);
+        
+        modal.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'replace' && !confirm('覆盖后本机现有进度将丢失，确定吗？')) return;
+            
+            close();
+            this.applyBackup(text, btn.dataset.action === 'merge');
+        });
+    }
+    
+    /**
+     * 写入备份并重新载入练习状态
+     * @param {string} text - 备份文件内容
+     * @param {boolean} merge - 是否与本机进度合并
+     */
+    async applyBackup(text, merge) {
+        const { success, errors } = await this.storageManager.importData(text, { merge });
+        if (!success) {
+            this.showBackupErrors(errors);
+            return;
+        }
+        
+        this.reloadFromStorage();
+        this.showMessage(merge ? '已合并备份' : '已导入备份', 'skip');
+    }
+    
+    /**
+     * 丢弃内存中的进度，按存储中的数据重新载入
+     */
+    reloadFromStorage() {
+        this.stats = {
+            totalAttempts: 0,
+            correctCount: 0,
+            wrongCount: 0,
+            currentCombo: 0,
+            maxCombo: 0,
+            practicedCount: 0
+        };
+        this.radicalManager.resetWeights();
+        this.characterManager.reset();
+        this.sessionManager.reset();
+        this.curriculum.reset();
+        this.leaderboard.reset();
+        if (this.challenge) {
+            this.stopChallenge();
+        }
+        
+        this.restoreFromStorage();
+        if (this.elements.algorithmSelect) {
+            this.renderAlgorithmOptions();
+        }
+        if (this.elements.themeSelect) {
+            this.renderThemeOptions();
+        }
+        if (this.elements.motionSelect) {
+            this.renderMotionOptions();
+        }
+        if (this.elements.soundToggle) {
+            this.renderAudioSettings();
+        }
+        if (this.elements.scopeSelect) {
+            this.renderScopeOptions();
+        }
+        
+        this.showNext();
+        this.updateUI();
+    }
+    
+    /**
+     * 删除当前使用的自定义方案，并切回默认方案
+     */
+    deleteActiveScheme() {
+        if (!isCustomScheme(ACTIVE_SCHEME.id)) return;
+        if (!confirm(`确定要删除方案「${ACTIVE_SCHEME.name}」吗？`)) return;
+        
+        this.storageManager.removeCustomScheme(ACTIVE_SCHEME.id);
+        this.switchScheme(DEFAULT_SCHEME_ID);
+    }
+    
+    /**
+     * 切换练习模式
+     * @param {string} mode - radical（字根）/ character（整字）/ reverse（反向）
+     */
+    setMode(mode) {
+        if (!PRACTICE_MODES[mode]) return;
+        
+        const changed = mode !== this.mode;
+        this.mode = mode;
+        
+        // 排行榜按模式区分，切换模式时放弃进行中的挑战
+        if (changed && this.challenge) {
+            this.abortChallenge();
+        }
+        
+        // 更新模式按钮状态
+        if (this.elements.modeSwitch) {
+            this.elements.modeSwitch.querySelectorAll('[data-mode]').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.mode === mode);
+            });
+        }
+        
+        // 整字模式显示拆分槽位
+        if (this.elements.charSplit) {
+            this.elements.charSplit.classList.toggle('hidden', mode !== 'character');
+        }
+        
+        // 反向模式显示选项格，按键显示为题目
+        const isReverse = mode === 'reverse';
+        if (this.elements.reverseDrill) {
+            this.elements.reverseDrill.classList.toggle('hidden', !isReverse);
+        }
+        if (this.elements.inputHint && this.elements.reverseHint) {
+            this.elements.inputHint.classList.toggle('hidden', isReverse);
+            this.elements.reverseHint.classList.toggle('hidden', !isReverse);
+        }
+        this.elements.radicalChar.classList.toggle('reverse-key', isReverse);
+        
+        // 反向模式点选字根作答，触屏键盘只保留“看答案”
+        if (this.touchKeyboard) {
+            this.touchKeyboard.showLetters(!isReverse);
+        }
+        
+        this.saveModeState(mode);
+        
+        // 初始化阶段恢复模式时尚未出题，由 init 负责显示第一项
+        if (changed && (this.currentRadical || this.currentCharacter || this.currentQuestion)) {
+            this.showNext();
+            this.updateUI();
+        }
+    }
+    
+    /**
+     * 生成挑战时长选项（预设时长、上次的自定义时长、自定义）
+     * @param {number} [selected] - 选中的时长（秒）
+     */
+    renderChallengeOptions(selected) {
+        const { challengeDuration } = this.elements;
+        const saved = Number(this.storageManager.getPreference('challenge_seconds')) || CHALLENGE_DURATIONS[0];
+        const current = selected || saved;
+        const durations = CHALLENGE_DURATIONS.includes(current)
+            ? CHALLENGE_DURATIONS
+            : [...CHALLENGE_DURATIONS, current].sort((a, b) => a - b);
+        
+        challengeDuration.innerHTML = '';
+        durations.forEach(seconds => {
+            challengeDuration.appendChild(new Option(`${seconds} 秒`, seconds));
+        });
+        challengeDuration.appendChild(new Option('自定义…', CUSTOM_DURATION_OPTION));
+        challengeDuration.value = String(current);
+    }
+    
+    /**
+     * 读取选中的挑战时长；选“自定义”时询问秒数
+     * @returns {number|null} 时长（秒），取消或输入无效时为 null
+     */
+    getChallengeSeconds() {
+        const { challengeDuration } = this.elements;
+        if (challengeDuration.value !== CUSTOM_DURATION_OPTION) {
+            return Number(challengeDuration.value);
+        }
+        
+        const input = prompt(`挑战时长（${CHALLENGE_MIN_SECONDS}-${CHALLENGE_MAX_SECONDS} 秒）：`, '90');
+        if (input === null) {
+            this.renderChallengeOptions();
+            return null;
+        }
+        
+        const seconds = Number(input);
+        if (!Number.isInteger(seconds) || seconds < CHALLENGE_MIN_SECONDS || seconds > CHALLENGE_MAX_SECONDS) {
+            alert(`请输入 ${CHALLENGE_MIN_SECONDS} 到 ${CHALLENGE_MAX_SECONDS} 之间的整数`);
+            this.renderChallengeOptions();
+            return null;
+        }
+        this.renderChallengeOptions(seconds);
+        return seconds;
+    }
+    
+    /**
+     * 当前的挑战出题范围：练习范围和分组解锁缩小了字根池时各自计入，成绩分榜保存
+     * 整字模式不受练习范围和分组解锁影响，总是全部字根
+     * @returns {Object} { id, name }
+     */
+    getChallengePool() {
+        const ids = [];
+        const names = [];
+        
+        if (this.mode !== 'character') {
+            const scope = this.radicalManager.getScope();
+            if (scope.id === CUSTOM_SCOPE_ID) {
+                const { keys, chars } = parseScopeText(scope.text);
+                ids.push(`custom:${[...keys].sort().join('')}${[...chars].sort().join('')}`);
+                names.push(getScopeName(scope));
+            } else if (scope.id !== DEFAULT_SCOPE_ID && PRACTICE_SCOPES[scope.id]) {
+                ids.push(scope.id);
+                names.push(getScopeName(scope));
+            }
+            
+            const { unlockedGroups, totalGroups } = this.curriculum.getProgress(this.radicalManager.radicalData);
+            if (this.curriculum.isEnabled() && unlockedGroups < totalGroups) {
+                ids.push(`lessons-${unlockedGroups}`);
+                names.push(`已解锁 ${unlockedGroups}/${totalGroups} 组`);
+            }
+        }
+        
+        return ids.length > 0
+            ? { id: ids.join('+'), name: names.join(' · ') }
+            : { id: FULL_CHALLENGE_POOL, name: '' };
+    }
+    
+    /**
+     * 开始限时挑战：连击清零，出新题并开始倒计时
+     */
+    startChallenge() {
+        if (this.challenge) return;
+        
+        const seconds = this.getChallengeSeconds();
+        if (!seconds) return;
+        this.storageManager.setPreference('challenge_seconds', String(seconds));
+        
+        this.challenge = new TimedChallenge({
+            mode: this.mode,
+            schemeId: ACTIVE_SCHEME.id,
+            seconds,
+            pool: this.getChallengePool()
+        });
+        this.stats.currentCombo = 0;
+        this.challenge.start();
+        this.challengeTimer = setInterval(() => this.tickChallenge(), 100);
+        
+        this.elements.challengeSetup.classList.add('hidden');
+        this.elements.challengeStatus.classList.remove('hidden');
+        
+        this.showNext();
+        this.updateUI();
+    }
+    
+    /**
+     * 倒计时：更新剩余时间，到时结束挑战
+     */
+    tickChallenge() {
+        if (!this.challenge) return;
+        
+        if (this.challenge.isOver()) {
+            this.finishChallenge();
+        } else {
+            this.updateChallengeStatus();
+        }
+    }
+    
+    /**
+     * 更新挑战剩余时间和得分
+     */
+    updateChallengeStatus() {
+        const { challengeRemaining, challengeScore } = this.elements;
+        if (!this.challenge || !challengeRemaining) return;
+        
+        challengeRemaining.textContent = (this.challenge.getRemainingMs() / 1000).toFixed(1);
+        challengeScore.textContent = this.challenge.score;
+    }
+    
+    /**
+     * 停止倒计时并恢复挑战入口
+     */
+    stopChallenge() {
+        clearInterval(this.challengeTimer);
+        this.challengeTimer = null;
+        this.challenge = null;
+        
+        if (this.elements.challengeSetup) {
+            this.elements.challengeSetup.classList.remove('hidden');
+            this.elements.challengeStatus.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * 放弃挑战（不计入排行榜）
+     */
+    abortChallenge() {
+        this.stopChallenge();
+        this.focusInput();
+    }
+    
+    /**
+     * 时间到：记录成绩并显示结果
+     */
+    finishChallenge() {
+        const result = this.challenge.getResult();
+        this.stopChallenge();
+        
+        const rank = this.leaderboard.add(result);
+        this.saveToStorage();
+        this.showChallengeResults(result, rank);
+    }
+    
+    /**
+     * 显示挑战结果和对应的排行榜
+     * @param {Object} result - TimedChallenge.getResult() 的返回值
+     * @param {number} rank - 在榜单中的名次，未进榜为 0
+     */
+    showChallengeResults(result, rank) {
+        const percent = value => (value === null ? '—' : `${Math.round(value * 100)}%`);
+        const board = this.leaderboard.getBoard(result.schemeId, result.mode, result.seconds, result.pool);
+        const rankText = rank === 1
+            ? '新纪录！'
+            : rank > 0 ? `排行第 ${rank}` : `最好成绩 ${board[0].score} 分`;
+        
+        const rows = board.map((entry, index) => `
+            <tr class="${entry === result ? 'leaderboard-current' : ''}">
+                <td>${index + 1}</td>
+                <td>${entry.score}</td>
+                <td>${percent(entry.accuracy)}</td>
+                <td>${entry.maxCombo}</td>
+                <td>${new Date(entry.at).toLocaleDateString('zh-CN')}</td>
+            </tr>
+        `).join('');
+        
+        this.showDialog(`
+            <div class="completion-content history-content">
+                <h2 class="completion-title">时间到！</h2>
+                <p class="completion-subtitle">${ACTIVE_SCHEME.name} · ${PRACTICE_MODES[result.mode]} · ${result.seconds} 秒${result.poolName ? ` · ${escapeGlyphText(result.poolName)}` : ''}</p>
+                <div class="challenge-result-score">${result.score}<span>分</span></div>
+                <p class="challenge-result-rank">${rankText}</p>
+                <div class="completion-stats">
+                    <div class="stat-item">
+                        <span class="stat-value">${result.correct}</span>
+                        <span class="stat-label">答对</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${result.wrong}</span>
+                        <span class="stat-label">答错</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${result.reveals}</span>
+                        <span class="stat-label">看答案</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${result.maxCombo}</span>
+                        <span class="stat-label">最高连击</span>
+                    </div>
+                </div>
+                <p class="history-section-title">个人最好成绩</p>
+                <div class="history-table-wrap">
+                    <table class="history-table">
+                        <thead>
+                            <tr><th>#</th><th>得分</th><th>正确率</th><th>最高连击</th><th>日期</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <div class="backup-actions">
+                    <button class="completion-btn" data-close>继续练习</button>
+                </div>
+            </div>
+        `);
+    }
+    
+    /**
+     * 保存练习模式
+     */
+    saveModeState(mode) {
+        this.storageManager.setPreference('practice_mode', mode);
+    }
+    
+    /**
+     * 恢复练习模式
+     */
+    restoreModeState() {
+        const mode = this.storageManager.getPreference('practice_mode');
+        if (mode) {
+            this.setMode(mode);
+        }
+    }
+    
+    /**
+     * 切换字根图显示/隐藏
+     */
+    toggleRadicalChart() {
+        const { radicalChartSection } = this.elements;
+        if (radicalChartSection) {
+            const isHidden = radicalChartSection.classList.contains('hidden');
+            if (isHidden) {
+                this.showRadicalChart();
+            } else {
+                this.hideRadicalChart();
+            }
+        }
+    }
+    
+    /**
+     * 显示字根图
+     */
+    showRadicalChart() {
+        const { radicalChartSection, toggleChartText } = this.elements;
+        if (radicalChartSection) {
+            radicalChartSection.classList.remove('hidden');
+            if (toggleChartText) {
+                toggleChartText.textContent = '隐藏字根图';
+            }
+            // 保存状态
+            this.saveChartState(true);
+        }
+    }
+    
+    /**
+     * 隐藏字根图
+     */
+    hideRadicalChart() {
+        const { radicalChartSection, toggleChartText } = this.elements;
+        if (radicalChartSection) {
+            radicalChartSection.classList.add('hidden');
+            if (toggleChartText) {
+                toggleChartText.textContent = '显示字根图';
+            }
+            // 保存状态
+            this.saveChartState(false);
+        }
+        // 聚焦输入框
+        this.focusInput();
+    }
+    
+    /**
+     * 保存字根图显示状态
+     */
+    saveChartState(isVisible) {
+        this.storageManager.setPreference('chart_visible', isVisible ? 'true' : 'false');
+    }
+    
+    /**
+     * 恢复字根图显示状态
+     */
+    restoreChartState() {
+        if (this.storageManager.getPreference('chart_visible') === 'true') {
+            this.showRadicalChart();
+        }
+    }
+    
+    /**
+     * 切换字根图的掌握度着色
+     * @param {boolean} enabled - 是否按掌握度着色
+     */
+    setHeatmap(enabled) {
+        this.radicalChart.setHeatmap(enabled);
+        if (this.elements.heatmapToggle) {
+            this.elements.heatmapToggle.checked = enabled;
+        }
+        if (this.elements.chartLegend) {
+            this.elements.chartLegend.classList.toggle('hidden', !enabled);
+        }
+        
+        this.storageManager.setPreference('chart_heatmap', enabled ? 'true' : 'false');
+    }
+    
+    /**
+     * 恢复字根图的掌握度着色（默认开启）
+     */
+    restoreHeatmapState() {
+        this.setHeatmap(this.storageManager.getPreference('chart_heatmap') !== 'false');
+    }
+    
+    /**
+     * 切换字根图模式（见 CHART_MODES），并按新模式更新当前题目的按键高亮
+     * @param {string} mode - 模式ID
+     */
+    setChartMode(mode) {
+        this.chartMode = this.radicalChart.setMode(mode);
+        if (this.elements.chartModeSelect) {
+            this.elements.chartModeSelect.value = this.chartMode;
+        }
+        
+        const expectedKey = this.mode === 'reverse' ? null : this.getExpectedKey();
+        if (expectedKey && !this.answerRevealed && !this.isTransitioning) {
+            this.highlightQuestionKey(expectedKey);
+        }
+        
+        this.storageManager.setPreference('chart_mode', this.chartMode);
+    }
+    
+    /**
+     * 恢复字根图模式
+     */
+    restoreChartMode() {
+        this.setChartMode(this.storageManager.getPreference('chart_mode'));
+    }
+    
+    /**
+     * 开启或关闭触屏键盘
+     * 开启时输入框只读且不弹出软键盘，作答全部通过触屏键盘
+     * @param {boolean} enabled - 是否开启
+     */
+    setTouchMode(enabled) {
+        this.touchMode = enabled;
+        this.touchKeyboard.setVisible(enabled);
+        document.body.classList.toggle('touch-mode', enabled);
+        
+        const { inputField, touchModeToggle } = this.elements;
+        inputField.readOnly = enabled;
+        inputField.inputMode = enabled ? 'none' : 'text';
+        if (enabled) {
+            inputField.blur();
+        }
+        if (touchModeToggle) {
+            touchModeToggle.checked = enabled;
+        }
+        
+        this.storageManager.setPreference('touch_mode', enabled ? 'true' : 'false');
+    }
+    
+    /**
+     * 恢复触屏键盘开关（未设置过时，触屏设备默认开启）
+     */
+    restoreTouchMode() {
+        const saved = this.storageManager.getPreference('touch_mode');
+        const isTouchDevice = window.matchMedia?.('(pointer: coarse)').matches || false;
+        this.setTouchMode(saved === null ? isTouchDevice : saved === 'true');
+    }
+    
+    /**
+     * 按最新的掌握程度更新字根图着色和图例计数
+     */
+    updateChartLevels() {
+        const levels = this.radicalManager.getRadicalLevels();
+        this.radicalChart.applyLevels(levels);
+        
+        const { chartLegend } = this.elements;
+        if (chartLegend) {
+            const counts = {};
+            Object.values(levels).forEach(level => {
+                counts[level] = (counts[level] || 0) + 1;
+            });
+            chartLegend.querySelectorAll('[data-level-count]').forEach(el => {
+                el.textContent = counts[el.dataset.levelCount] || 0;
+            });
+        }
+    }
+    
+    /**
+     * 高亮字根图中的按键
+     * @param {string} key - 按键字符
+     */
+    highlightKey(key) {
+        this.radicalChart.highlight(key);
+    }
+    
+    /**
+     * 出题时的按键高亮：学习模式直接高亮答案按键，其余模式清除高亮，作答或看答案后再高亮
+     * @param {string} key - 当前题目的答案按键
+     */
+    highlightQuestionKey(key) {
+        if (this.chartMode === 'learn') {
+            this.highlightKey(key);
+        } else {
+            this.clearKeyHighlight();
+        }
+    }
+    
+    /**
+     * 当前作答是否借助了字根图（借助字根图的作答不计入掌握度）
+     * 字根图打开时：学习模式出题即高亮答案按键；反向模式按键就是题目，
+     * 除盲练外字根图直接列出了这个键上的全部字根
+     */
+    isChartAssisted() {
+        const { radicalChartSection } = this.elements;
+        if (!radicalChartSection || radicalChartSection.classList.contains('hidden')) return false;
+        
+        return this.mode === 'reverse' ? this.chartMode !== 'blind' : this.chartMode === 'learn';
+    }
+    
+    /**
+     * 清除字根图高亮
+     */
+    clearKeyHighlight() {
+        this.radicalChart.clearHighlight();
+    }
+    
+    /**
+     * 处理输入事件
+     * 输入法组字期间不作答，组字结束后由 handleCompositionEnd 处理
+     */
+    handleInput(e) {
+        if (this.isComposing || e.isComposing) return;
         
-        // 降低权重（答对的字根出现频率降低）
-        this.radicalManager.decreaseWeight(this.currentRadical.id);
+        const input = this.extractInputKey(e.target.value);
         
-        // 显示反馈
+        // 清空输入框
+        this.elements.inputField.value = '';
+        
+        // 检查答案
+        if (input) {
+            this.checkAnswer(input);
+        }
+    }
+    
+    /**
+     * 处理输入法组字结束：取上屏文字中的按键作答
+     */
+    handleCompositionEnd(e) {
+        this.isComposing = false;
+        
+        const input = this.extractInputKey(e.data || this.elements.inputField.value);
+        this.elements.inputField.value = '';
+        if (input) {
+            this.checkAnswer(input);
+        }
+    }
+    
+    /**
+     * 从输入框文字中取出作答按键
+     * 软键盘的自动补全、输入法上屏可能一次写入多个字符，只取最后一个有效按键；
+     * 反向模式取数字 1-9，其他模式取字母
+     * @param {string} text - 输入框文字
+     * @returns {string|null} 大写按键，没有有效按键时为 null
+     */
+    extractInputKey(text) {
+        const pattern = this.mode === 'reverse' ? /[1-9]/g : /[A-Za-z]/g;
+        const matches = String(text || '').match(pattern);
+        return matches ? matches[matches.length - 1].toUpperCase() : null;
+    }
+    
+    /**
+     * 处理键盘按下事件
+     */
+    handleKeyDown(e) {
+        // 输入法组字中的按键交给输入法
+        if (e.isComposing || e.keyCode === 229) return;
+        
+        // 空格键显示答案
+        if (e.key === ' ' || e.code === 'Space') {
+            e.preventDefault();
+            this.revealAnswer();
+            return;
+        }
+        
+        // 反向模式回车确认
+        if (e.key === 'Enter' && this.mode === 'reverse') {
+            e.preventDefault();
+            this.submitReverse();
+        }
+    }
+    
+    /**
+     * 处理全局键盘事件
+     */
+    handleGlobalKeyDown(e) {
+        // 如果焦点在输入框，不处理
+        if (document.activeElement === this.elements.inputField) return;
+        
+        // 对话框打开时按键交给对话框
+        if (this.activeDialog) return;
+        
+        // 忽略功能键
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+        
+        // 焦点在下拉框、文本框上时按键属于控件；焦点在按钮、复选框上时空格和回车用于操作控件
+        const control = e.target.closest?.('input, select, textarea, button, a[href], [contenteditable="true"]');
+        if (control && (this.isTextControl(control) || e.key === ' ' || e.key === 'Enter')) return;
+        
+        // 空格键显示答案
+        if (e.key === ' ' || e.code === 'Space') {
+            e.preventDefault();
+            this.revealAnswer();
+            return;
+        }
+        
+        // 反向模式：数字键选择，回车确认
+        if (this.mode === 'reverse') {
+            if (/^[1-9]$/.test(e.key)) {
+                e.preventDefault();
+                this.checkAnswer(e.key);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submitReverse();
+            }
+            return;
+        }
+        
+        // 字母键
+        if (/^[a-zA-Z]$/.test(e.key)) {
+            e.preventDefault();
+            this.checkAnswer(e.key.toUpperCase());
+        }
+    }
+    
+    /**
+     * 是否为会接收文字输入的控件（下拉框、文本框等）
+     * @param {HTMLElement} control - 控件元素
+     */
+    isTextControl(control) {
+        if (control.matches('select, textarea, [contenteditable="true"]')) return true;
+        return control.tagName === 'INPUT'
+            && !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'file'].includes(control.type);
+    }
+    
+    /**
+     * 检查答案
+     */
+    checkAnswer(input) {
+        // 整字模式按键单独处理
+        if (this.mode === 'character') {
+            this.checkCharacterKey(input);
+            return;
+        }
+        
+        // 反向模式：数字键切换对应选项
+        if (this.mode === 'reverse') {
+            if (/^[1-9]$/.test(input)) {
+                this.toggleReverseOption(Number(input) - 1);
+            }
+            return;
+        }
+        
+        if (!this.currentRadical) return;
+        
+        // 如果正在过渡到下一个字根，忽略输入（防止快速连续按键导致跳过字根）
+        if (this.isTransitioning) return;
+        
+        const isCorrect = this.radicalManager.checkAnswer(input, this.currentRadical);
+        const practicedBefore = this.radicalManager.getPracticedCount();
+        const responseMs = this.getResponseTime();
+        const wasRevealed = this.answerRevealed;
+        
+        this.stats.totalAttempts++;
+        
+        if (isCorrect) {
+            this.handleCorrect();
+        } else {
+            this.handleWrong(input);
+        }
+        
+        this.checkCurriculumUnlock();
+        
+        // 计入当前练习会话（看过答案后的作答不计反应时间）
+        this.sessionManager.record({
+            correct: isCorrect ? 1 : 0,
+            responseMs: isCorrect && !wasRevealed ? responseMs : undefined,
+            introduced: this.radicalManager.getPracticedCount() - practicedBefore
+        });
+        
+        // 更新 UI 和保存
+        this.updateUI();
+        this.saveToStorage();
+    }
+    
+    /**
+     * 处理正确答案
+     */
+    handleCorrect() {
+        this.stats.correctCount++;
+        this.stats.currentCombo++;
+        
+        // 更新最高连击
+        if (this.stats.currentCombo > this.stats.maxCombo) {
+            this.stats.maxCombo = this.stats.currentCombo;
+        }
+        
+        // 限时挑战计分（借助字根图答对和看过答案一样不得分）
+        const assisted = this.isChartAssisted();
+        if (this.challenge) {
+            this.challenge.recordCorrect(this.stats.currentCombo, this.answerRevealed || assisted);
+        }
+        
+        // 检查是否是首次练习该字根（用于完成提示）
+        const wasAllPracticed = this.radicalManager.isScopeComplete();
+        
+        // 借助字根图的作答不计入掌握度
+        if (!assisted) {
+            // 标记为已练习
+            this.radicalManager.markPracticed(this.currentRadical.id);
+            this.stats.practicedCount = this.radicalManager.getPracticedCount();
+            
+            // 降低权重（答对的字根出现频率降低）
+            this.radicalManager.decreaseWeight(this.currentRadical.id, {
+                responseMs: this.getResponseTime(),
+                revealed: this.answerRevealed
+            });
+        }
+        
+        // 显示反馈，并在字根图中标出答案按键
         this.showFeedback('correct');
+        this.highlightKey(this.currentRadical.key);
         
-        // 检查是否刚刚完成所有字根的首次练习
-        const isNowAllPracticed = this.radicalManager.isAllPracticed();
+        // 检查是否刚刚完成练习范围内所有字根的首次练习
+        const isNowAllPracticed = this.radicalManager.isScopeComplete();
         if (!wasAllPracticed && isNowAllPracticed) {
             // 首次完成所有字根练习，显示完成提示
             this.showCompletionCelebration();
         }
         
         // 连击提示
-        if (this.stats.currentCombo > 0 && this.stats.currentCombo % 5 === 0) {
+        if (this.isComboMilestone(this.stats.currentCombo)) {
             this.showComboMessage(this.stats.currentCombo);
         }
         
         // 设置过渡标志，防止快速连续按键导致跳过字根
         this.isTransitioning = true;
         
-        // 延迟显示下一个字根
-        setTimeout(() => {
-            this.showNextRadical();
-        }, 200);
+        // 延迟显示下一个字根
+        setTimeout(() => {
+            this.showNextRadical();
+        }, this.practiceSettings.get('advanceDelay'));
+    }
+    
+    /**
+     * 检查整字模式下的一次按键
+     */
+    checkCharacterKey(input) {
+        if (!this.currentCharacter) return;
+        
+        // 过渡期间忽略输入
+        if (this.isTransitioning) return;
+        
+        const isCorrect = this.characterManager.checkKey(input, this.currentCharacter, this.keyIndex);
+        
+        this.stats.totalAttempts++;
+        
+        if (isCorrect) {
+            this.handleCharacterKeyCorrect();
+        } else {
+            this.handleCharacterKeyWrong(input);
+        }
+        
+        this.sessionManager.record({ correct: isCorrect ? 1 : 0 });
+        
+        // 更新 UI 和保存
+        this.updateUI();
+        this.saveToStorage();
+    }
+    
+    /**
+     * 处理整字模式下的正确按键
+     */
+    handleCharacterKeyCorrect() {
+        this.stats.correctCount++;
+        this.stats.currentCombo++;
+        
+        if (this.stats.currentCombo > this.stats.maxCombo) {
+            this.stats.maxCombo = this.stats.currentCombo;
+        }
+        
+        const assisted = this.isChartAssisted();
+        if (this.challenge) {
+            this.challenge.recordCorrect(this.stats.currentCombo, this.answerRevealed || assisted);
+        }
+        
+        this.keyIndex++;
+        const { keys } = this.currentCharacter;
+        
+        // 还有下一键：推进到末字根
+        if (this.keyIndex < keys.length) {
+            this.answerRevealed = false;
+            this.hideKeyHint(true);
+            this.elements.keyHint.textContent = keys[this.keyIndex];
+            this.updateCharacterSplit();
+            this.highlightQuestionKey(keys[this.keyIndex]);
+            this.showFeedback('correct');
+            return;
+        }
+        
+        // 两键都已完成（借助字根图打出的整字不计入掌握度）
+        if (!assisted) {
+            this.characterManager.recordResult(this.currentCharacter.id, !this.characterHadError);
+        }
+        this.highlightKey(keys[keys.length - 1]);
+        this.updateCharacterSplit();
+        this.showFeedback('correct');
+        
+        if (this.isComboMilestone(this.stats.currentCombo)) {
+            this.showComboMessage(this.stats.currentCombo);
+        }
+        
+        this.isTransitioning = true;
+        setTimeout(() => {
+            this.showNextCharacter();
+        }, this.practiceSettings.get('advanceDelay'));
+    }
+    
+    /**
+     * 处理整字模式下的错误按键
+     */
+    handleCharacterKeyWrong(input) {
+        this.stats.wrongCount++;
+        this.stats.currentCombo = 0;
+        
+        if (this.challenge) {
+            this.challenge.recordWrong();
+        }
+        
+        // 任一键出错，整字不算一次打对
+        this.characterHadError = true;
+        this.answerRevealed = true;
+        
+        this.showKeyHint();
+        this.updateCharacterSplit();
+        this.showFeedback('wrong', input);
+        
+        // 答错后自动进入下一题：整字记为打错
+        if (this.practiceSettings.get('autoAdvanceWrong')) {
+            if (!this.isChartAssisted()) {
+                this.characterManager.recordResult(this.currentCharacter.id, false);
+            }
+            this.scheduleWrongAdvance();
+        }
+    }
+    
+    /**
+     * 切换反向练习中某个选项的选中状态
+     * @param {number} index - 选项序号
+     */
+    toggleReverseOption(index) {
+        if (!this.currentQuestion || this.reverseSubmitted) return;
+        
+        const option = this.currentQuestion.options[index];
+        if (!option) return;
+        
+        if (this.reverseSelected.has(option.id)) {
+            this.reverseSelected.delete(option.id);
+        } else {
+            this.reverseSelected.add(option.id);
+        }
+        this.renderReverseGrid();
+    }
+    
+    /**
+     * 提交反向练习的选择；已提交时进入下一题
+     */
+    submitReverse() {
+        if (!this.currentQuestion || this.isTransitioning) return;
+        
+        if (this.reverseSubmitted) {
+            this.showNextQuestion();
+            return;
+        }
+        
+        const wasAllPracticed = this.radicalManager.isScopeComplete();
+        const practicedBefore = this.radicalManager.getPracticedCount();
+        const result = this.reverseDrill.score(this.currentQuestion, this.reverseSelected);
+        const assisted = this.isChartAssisted();
+        if (!assisted) {
+            this.reverseDrill.record(this.currentQuestion, result, this.answerRevealed, this.getResponseTime());
+        }
+        this.reverseSubmitted = true;
+        
+        // 每个字根的判定各算一次作答
+        const attempts = result.hits.length + result.misses.length + result.falsePicks.length;
+        this.stats.totalAttempts += attempts;
+        this.stats.correctCount += result.hits.length;
+        this.stats.wrongCount += result.misses.length + result.falsePicks.length;
+        this.stats.practicedCount = this.radicalManager.getPracticedCount();
+        
+        this.sessionManager.record({
+            attempts,
+            correct: result.hits.length,
+            introduced: this.stats.practicedCount - practicedBefore
+        });
+        
+        // 全对且未看答案、未借助字根图才计入连击
+        const isPerfect = result.score === 1 && result.falsePicks.length === 0 && !this.answerRevealed && !assisted;
+        if (isPerfect) {
+            this.stats.currentCombo++;
+            if (this.stats.currentCombo > this.stats.maxCombo) {
+                this.stats.maxCombo = this.stats.currentCombo;
+            }
+        } else {
+            this.stats.currentCombo = 0;
+        }
+        
+        // 限时挑战：每个选中的正确字根计分，每个漏选或误选扣分
+        if (this.challenge) {
+            result.hits.forEach(() => this.challenge.recordCorrect(this.stats.currentCombo, this.answerRevealed || assisted));
+            for (let i = 0; i < result.misses.length + result.falsePicks.length; i++) {
+                this.challenge.recordWrong();
+            }
+        }
+        
+        this.renderReverseGrid(result);
+        this.highlightKey(this.currentQuestion.key);
+        this.showReverseResult(result, isPerfect);
+        this.checkCurriculumUnlock();
+        
+        if (!wasAllPracticed && this.radicalManager.isScopeComplete()) {
+            this.showCompletionCelebration();
+        }
+        
+        if (isPerfect && this.isComboMilestone(this.stats.currentCombo)) {
+            this.showComboMessage(this.stats.currentCombo);
+        }
+        
+        this.updateUI();
+        this.saveToStorage();
+        
+        // 全对时自动进入下一题，否则停留查看结果，再按回车继续
+        if (isPerfect) {
+            this.isTransitioning = true;
+            setTimeout(() => {
+                this.showNextQuestion();
+            }, 600);
+        }
+    }
+    
+    /**
+     * 显示反向练习的得分反馈
+     * @param {Object} result - ReverseDrill.score() 的返回值
+     * @param {boolean} isPerfect - 是否全对
+     */
+    showReverseResult(result, isPerfect) {
+        this.clearFeedback();
+        
+        const { radicalChar, feedbackIcon, iconCorrect, iconWrong } = this.elements;
+        feedbackIcon.classList.remove('opacity-0');
+        feedbackIcon.classList.add('opacity-100');
+        
+        const percent = Math.round(result.score * 100);
+        this.audio.play(isPerfect ? 'correct' : 'wrong');
+        if (isPerfect) {
+            iconCorrect.classList.remove('hidden');
+            radicalChar.classList.add('feedback-correct');
+            this.showMessage('全对！', 'correct');
+        } else {
+            iconWrong.classList.remove('hidden');
+            radicalChar.classList.add('feedback-wrong');
+            this.showMessage(`得分 ${percent}%`, result.score > 0 ? 'skip' : 'wrong');
+        }
+        
+        if (this.elements.reverseSubmit) {
+            this.elements.reverseSubmit.textContent = '下一题';
+        }
     }
     
     /**
      * 显示练习完成庆祝提示
      */
     showCompletionCelebration() {
-        const totalCount = this.radicalManager.getTotalCount();
+        const scope = this.radicalManager.getScope();
+        const totalCount = this.radicalManager.getScopeProgress().total;
+        const scopeText = scope.id === DEFAULT_SCOPE_ID ? '' : `「${getScopeName(scope)}」中的`;
         const accuracy = this.stats.totalAttempts > 0
             ? Math.round((this.stats.correctCount / this.stats.totalAttempts) * 100)
             : 0;
         
-        // 创建庆祝弹窗
-        const modal = document.createElement('div');
-        modal.className = 'completion-modal';
-        modal.innerHTML = `
+        // 庆祝弹窗：按钮获得焦点，回车、空格或 Esc 关闭
+        this.showDialog(`
             <div class="completion-content">
                 <div class="completion-icon">🎉</div>
                 <h2 class="completion-title">恭喜完成！</h2>
-                <p class="completion-subtitle">你已经练习过所有 ${totalCount} 个字根！</p>
+                <p class="completion-subtitle">你已经练习过${scopeText}所有 ${totalCount} 个字根！</p>
                 <div class="completion-stats">
                     <div class="stat-item">
                         <span class="stat-value">${accuracy}%</span>
@@ -432,34 +2195,233 @@ class PracticeApp {
                     </div>
                 </div>
                 <p class="completion-tip">继续练习可以巩固记忆，系统会智能安排复习！</p>
-                <button class="completion-btn" onclick="this.closest('.completion-modal').remove()">继续练习</button>
+                <button class="completion-btn" data-close>继续练习</button>
+            </div>
+        `);
+    }
+    
+    /**
+     * 显示练习记录：按天汇总的时长、作答次数、正确率趋势和最近的会话
+     */
+    showHistory() {
+        const days = this.sessionManager.getDailySummaries(14);
+        const recent = this.sessionManager.getHistory().slice(-5).reverse();
+        
+        const percent = value => (value === null ? '—' : `${Math.round(value * 100)}%`);
+        const seconds = ms => (ms === null ? '—' : `${(ms / 1000).toFixed(2)}s`);
+        // 不足一分钟的时长按秒显示，避免几秒钟的练习被算成 1 分钟
+        const duration = ms => (ms < 60000 ? `${Math.round(ms / 1000)} 秒` : `${Math.round(ms / 60000)} 分钟`);
+        const time = ts => new Date(ts).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+        
+        // 正确率趋势：从早到晚排列
+        const trend = [...days].reverse().map(day => `
+            <div class="history-bar" title="${day.date} 正确率 ${percent(day.accuracy)}，作答 ${day.attempts} 次">
+                <span class="history-bar-fill" style="height: ${Math.round((day.accuracy || 0) * 100)}%"></span>
+                <span class="history-bar-label">${day.date.slice(5)}</span>
+            </div>
+        `).join('');
+        
+        const dayRows = days.map(day => `
+            <tr>
+                <td>${day.date}</td>
+                <td>${day.sessions}</td>
+                <td>${duration(day.duration)}</td>
+                <td>${day.attempts}</td>
+                <td>${percent(day.accuracy)}</td>
+                <td>${seconds(day.avgLatency)}</td>
+                <td>${day.introduced}</td>
+            </tr>
+        `).join('');
+        
+        const sessionRows = recent.map(session => `
+            <li>
+                <span>${this.sessionManager.formatDate(session.start)} ${time(session.start)}–${time(session.end)}</span>
+                <span>${session.attempts} 次 · ${percent(session.accuracy)} · ${seconds(session.avgLatency)} · 新学 ${session.introduced}</span>
+            </li>
+        `).join('');
+        
+        this.showDialog(days.length === 0 ? `
+            <div class="completion-content history-content">
+                <h2 class="completion-title">练习记录</h2>
+                <p class="completion-subtitle">还没有练习记录，开始练习后会自动记录每次练习。</p>
+                <button class="completion-btn" data-close>关闭</button>
+            </div>
+        ` : `
+            <div class="completion-content history-content">
+                <h2 class="completion-title">练习记录</h2>
+                <p class="history-section-title">每日正确率（最近 ${days.length} 天）</p>
+                <div class="history-trend">${trend}</div>
+                <div class="history-table-wrap">
+                    <table class="history-table">
+                        <thead>
+                            <tr><th>日期</th><th>次数</th><th>时长</th><th>作答</th><th>正确率</th><th>平均反应</th><th>新学</th></tr>
+                        </thead>
+                        <tbody>${dayRows}</tbody>
+                    </table>
+                </div>
+                <p class="history-section-title">最近的练习</p>
+                <ul class="history-sessions">${sessionRows}</ul>
+                <button class="completion-btn" data-close>关闭</button>
             </div>
-        `;
+        `);
+    }
+    
+    /**
+     * 显示练习设置面板：按 PRACTICE_SETTING_FIELDS 生成表单，修改后立即生效并保存
+     */
+    showSettings() {
+        const rows = Object.entries(PRACTICE_SETTING_FIELDS).map(([name, field]) => {
+            const id = `practice-setting-${name}`;
+            const hint = field.hint ? `<span class="settings-hint">${field.hint}</span>` : '';
+            const control = field.type === 'boolean'
+                ? `<input type="checkbox" id="${id}" data-setting="${name}" class="accent-current">`
+                : `<span class="settings-number">
+                        <input type="number" id="${id}" data-setting="${name}" class="ink-select" min="${field.min}" max="${field.max}" step="${field.step}">
+                        <span>${field.unit}</span>
+                    </span>`;
+            return `
+                <div class="settings-row">
+                    <label for="${id}" class="settings-label">${field.label}${hint}</label>
+                    ${control}
+                </div>
+            `;
+        }).join('');
+        
+        const { modal } = this.showDialog(`
+            <div class="completion-content settings-content">
+                <h2 class="completion-title">练习设置</h2>
+                <div class="settings-list">${rows}</div>
+                <div class="settings-actions">
+                    <button type="button" class="settings-reset-btn" data-reset>恢复默认</button>
+                    <button type="button" class="completion-btn" data-close>关闭</button>
+                </div>
+            </div>
+        `);
+        
+        // 按当前设置填充表单（恢复默认后也调用）
+        const fill = () => {
+            modal.querySelectorAll('[data-setting]').forEach(input => {
+                const value = this.practiceSettings.get(input.dataset.setting);
+                if (input.type === 'checkbox') {
+                    input.checked = value;
+                } else {
+                    input.value = value;
+                }
+            });
+            // 答错后不自动进入下一题时，延迟设置不起作用
+            modal.querySelector('[data-setting="wrongAdvanceDelay"]').disabled = !this.practiceSettings.get('autoAdvanceWrong');
+        };
+        fill();
         
-        document.body.appendChild(modal);
+        modal.addEventListener('change', (e) => {
+            const name = e.target.dataset.setting;
+            if (!name) return;
+            
+            this.practiceSettings.set(name, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+            this.applyPracticeSettings();
+            this.saveToStorage();
+            fill();
+        });
+        
+        modal.querySelector('[data-reset]').addEventListener('click', () => {
+            this.practiceSettings.reset();
+            this.applyPracticeSettings();
+            this.saveToStorage();
+            fill();
+            this.announce('练习设置已恢复默认');
+        });
+    }
+    
+    /**
+     * 显示对话框：点击背景、带 data-close 的按钮或按 Esc 关闭
+     * 打开时焦点移到对话框内第一个可操作元素，Tab 只在对话框内循环；关闭后焦点回到打开前的位置
+     * @param {string} contentHtml - 对话框内容（标题使用 .completion-title）
+     * @returns {Object} { modal, close }
+     */
+    showDialog(contentHtml) {
+        const opener = document.activeElement;
+        const modal = document.createElement('div');
+        modal.className = 'completion-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.innerHTML = contentHtml;
+        
+        const title = modal.querySelector('.completion-title');
+        if (title) {
+            title.id = `dialog-title-${Date.now()}`;
+            modal.setAttribute('aria-labelledby', title.id);
+        }
+        
+        // 已有对话框时先关闭，同一时间只保留一个
+        if (this.activeDialog) {
+            this.activeDialog.close();
+        }
         
-        // 添加进入动画
+        document.body.appendChild(modal);
         requestAnimationFrame(() => {
             modal.classList.add('show');
         });
         
-        // 点击背景关闭
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modal.remove();
-                this.focusInput();
-            }
-        });
+        const getFocusable = () => [...modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        )].filter(el => !el.disabled);
         
-        // 按任意键关闭
-        const closeOnKey = (e) => {
-            if (e.key === 'Escape' || e.key === 'Enter' || e.key === ' ') {
-                modal.remove();
-                document.removeEventListener('keydown', closeOnKey);
+        const close = () => {
+            if (!modal.isConnected) return;
+            modal.remove();
+            document.removeEventListener('keydown', handleKey);
+            if (this.activeDialog?.modal === modal) {
+                this.activeDialog = null;
+            }
+            if (opener && opener !== document.body && opener.isConnected && opener !== this.elements.inputField) {
+                opener.focus();
+            } else {
                 this.focusInput();
             }
         };
-        document.addEventListener('keydown', closeOnKey);
+        const handleKey = (e) => {
+            if (e.key === 'Escape') {
+                close();
+                return;
+            }
+            
+            // 焦点陷阱：Tab 在对话框内循环
+            if (e.key === 'Tab') {
+                const focusable = getFocusable();
+                if (focusable.length === 0) {
+                    e.preventDefault();
+                    return;
+                }
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (e.shiftKey && (document.activeElement === first || !modal.contains(document.activeElement))) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && (document.activeElement === last || !modal.contains(document.activeElement))) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        };
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('[data-close]')) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', handleKey);
+        
+        this.activeDialog = { modal, close };
+        
+        // 焦点移入对话框
+        const initial = modal.querySelector('[autofocus]') || getFocusable()[0];
+        if (initial) {
+            initial.focus();
+        } else {
+            modal.tabIndex = -1;
+            modal.focus();
+        }
+        
+        return { modal, close };
     }
     
     /**
@@ -469,32 +2431,177 @@ class PracticeApp {
         this.stats.wrongCount++;
         this.stats.currentCombo = 0;
         
-        // 增加权重（答错的字根出现频率增加）
-        this.radicalManager.increaseWeight(this.currentRadical.id);
+        if (this.challenge) {
+            this.challenge.recordWrong();
+        }
         
-        // 标记答案已显示
-        this.answerRevealed = true;
+        // 增加权重（答错的字根出现频率增加；借助字根图的作答不计入掌握度）
+        if (!this.isChartAssisted()) {
+            this.radicalManager.increaseWeight(this.currentRadical.id, input, {
+                responseMs: this.getResponseTime()
+            });
+        }
         
-        // 显示按键提示
-        this.showKeyHint();
+        // 第一次答错先显示提示卡，再次答错才显示按键
+        // 答错后自动进入下一题时没有再答的机会，直接显示提示卡和按键
+        const autoAdvance = this.practiceSettings.get('autoAdvanceWrong');
+        if (autoAdvance) {
+            this.showHintCard();
+            this.answerRevealed = true;
+            this.showKeyHint();
+        } else if (this.hintShown) {
+            this.answerRevealed = true;
+            this.showKeyHint();
+        } else {
+            this.showHintCard();
+        }
         
         // 显示反馈
         this.showFeedback('wrong', input);
+        
+        if (autoAdvance) {
+            this.scheduleWrongAdvance();
+        }
+    }
+    
+    /**
+     * 答错后停留一段时间显示正确答案，然后自动进入下一题
+     * 期间切换模式等操作已经换了题目时不再跳题
+     */
+    scheduleWrongAdvance() {
+        this.isTransitioning = true;
+        setTimeout(() => {
+            if (this.isTransitioning) {
+                this.showNext();
+            }
+        }, this.practiceSettings.get('wrongAdvanceDelay'));
+    }
+    
+    /**
+     * 严格模式下把显示答案记为一次答错：连击清零，字根计入错误
+     */
+    recordRevealAsWrong() {
+        this.stats.totalAttempts++;
+        this.stats.wrongCount++;
+        this.stats.currentCombo = 0;
+        
+        if (this.mode === 'character') {
+            this.characterHadError = true;
+        } else if (!this.isChartAssisted()) {
+            this.radicalManager.increaseWeight(this.currentRadical.id, null, {
+                responseMs: this.getResponseTime()
+            });
+        }
+        
+        this.sessionManager.record({ correct: 0 });
+        this.updateUI();
+        this.saveToStorage();
+    }
+    
+    /**
+     * 当前连击数是否达到连击提示的间隔（间隔为 0 时不提示）
+     * @param {number} combo - 当前连击数
+     */
+    isComboMilestone(combo) {
+        const interval = this.practiceSettings.get('comboInterval');
+        return interval > 0 && combo > 0 && combo % interval === 0;
+    }
+    
+    /**
+     * 获取当前字根从出现到现在的反应时间（毫秒）
+     */
+    getResponseTime() {
+        return Math.round(performance.now() - this.radicalShownAt);
     }
     
     /**
      * 显示答案（按空格触发）
      */
     revealAnswer() {
-        if (!this.currentRadical || this.answerRevealed) return;
+        if (this.mode === 'reverse') {
+            this.revealReverseAnswer();
+            return;
+        }
+        
+        const expectedKey = this.getExpectedKey();
+        if (!expectedKey || this.answerRevealed) return;
         
         this.answerRevealed = true;
+        const strict = this.practiceSettings.get('strictMode');
+        if (this.challenge) {
+            if (strict) {
+                this.challenge.recordWrong();
+            } else {
+                this.challenge.recordReveal();
+            }
+            this.updateChallengeStatus();
+        }
+        if (strict) {
+            this.recordRevealAsWrong();
+        }
         
         // 显示按键提示
         this.showKeyHint();
         
-        // 显示提示消息
-        this.showMessage(`答案是 ${this.currentRadical.key}`, 'skip');
+        if (this.mode === 'character') {
+            this.updateCharacterSplit();
+        } else {
+            this.showHintCard();
+        }
+        
+        // 显示提示消息（朗读时带上字根名称）
+        const radical = this.mode === 'character'
+            ? RADICAL_LIST.find(r => r.key === expectedKey && r.char === this.currentCharacter.radicals[this.keyIndex])
+            : this.currentRadical;
+        this.showMessage(`答案是 ${expectedKey}`, 'skip',
+            radical ? `答案是 ${expectedKey} 键，${getRadicalName(radical)}` : `答案是 ${expectedKey} 键`);
+    }
+    
+    /**
+     * 反向模式显示答案：标出当前按键上的全部字根（本题不再计入连击）
+     */
+    revealReverseAnswer() {
+        if (!this.currentQuestion || this.answerRevealed || this.reverseSubmitted) return;
+        
+        this.answerRevealed = true;
+        if (this.challenge) {
+            this.challenge.recordReveal();
+        }
+        this.renderReverseGrid();
+        this.highlightKey(this.currentQuestion.key);
+        
+        const answers = this.currentQuestion.options
+            .filter(option => this.currentQuestion.answers.has(option.id));
+        this.showMessage(
+            `答案是 ${answers.map(option => option.char).join(' ')}`,
+            'skip',
+            `答案是 ${answers.map(getRadicalName).join('、')}`
+        );
+    }
+    
+    /**
+     * 获取当前应按的键
+     */
+    getExpectedKey() {
+        if (this.mode === 'character') {
+            return this.currentCharacter ? this.currentCharacter.keys[this.keyIndex] : null;
+        }
+        return this.currentRadical ? this.currentRadical.key : null;
+    }
+    
+    /**
+     * 按当前模式显示下一个练习项
+     */
+    showNext() {
+        this.hideHintCard();
+        
+        if (this.mode === 'character') {
+            this.showNextCharacter();
+        } else if (this.mode === 'reverse') {
+            this.showNextQuestion();
+        } else {
+            this.showNextRadical();
+        }
     }
     
     /**
@@ -505,6 +2612,7 @@ class PracticeApp {
         
         // 重置答案显示状态
         this.answerRevealed = false;
+        this.hideHintCard();
         
         // 重置过渡标志
         this.isTransitioning = false;
@@ -517,22 +2625,140 @@ class PracticeApp {
             this.hideKeyHint(true);
             
             // 更新显示
-            this.elements.radicalChar.textContent = this.currentRadical.char;
+            renderGlyph(this.elements.radicalChar, this.currentRadical.char);
             this.elements.keyHint.textContent = this.currentRadical.key;
+            this.announce(getRadicalName(this.currentRadical));
+            this.audio.speak(getRadicalName(this.currentRadical));
             
-            // 高亮字根图中对应的按键
-            this.highlightKey(this.currentRadical.key);
+            // 字根图按键高亮（学习模式出题即高亮，其余模式作答后再高亮）
+            this.highlightQuestionKey(this.currentRadical.key);
             
             // 添加进入动画
-            this.elements.radicalChar.classList.remove('radical-enter');
-            void this.elements.radicalChar.offsetWidth; // 触发重排
-            this.elements.radicalChar.classList.add('radical-enter');
+            this.playEnterAnimation();
+            
+            // 开始计时
+            this.radicalShownAt = performance.now();
         }
         
         // 聚焦输入框
         this.focusInput();
     }
     
+    /**
+     * 显示下一个整字
+     */
+    showNextCharacter() {
+        this.currentCharacter = this.characterManager.getNextCharacter();
+        this.keyIndex = 0;
+        this.characterHadError = false;
+        this.answerRevealed = false;
+        this.isTransitioning = false;
+        
+        this.clearFeedback();
+        
+        if (this.currentCharacter) {
+            this.hideKeyHint(true);
+            
+            this.elements.radicalChar.textContent = this.currentCharacter.char;
+            this.elements.keyHint.textContent = this.currentCharacter.keys[0];
+            this.announce(`整字 ${this.currentCharacter.char}，输入首字根和末字根`);
+            this.updateCharacterSplit();
+            
+            this.highlightQuestionKey(this.currentCharacter.keys[0]);
+            
+            this.playEnterAnimation();
+        }
+        
+        this.focusInput();
+    }
+    
+    /**
+     * 显示下一道反向练习题
+     */
+    showNextQuestion() {
+        this.currentQuestion = this.reverseDrill.createQuestion();
+        this.reverseSelected = new Set();
+        this.reverseSubmitted = false;
+        this.answerRevealed = false;
+        this.isTransitioning = false;
+        
+        this.clearFeedback();
+        this.clearKeyHighlight();
+        
+        if (this.currentQuestion) {
+            this.hideKeyHint(true);
+            this.elements.radicalChar.textContent = this.currentQuestion.key;
+            this.announce(`${this.currentQuestion.key} 键，选出这个键上的全部字根`);
+            if (this.elements.reverseSubmit) {
+                this.elements.reverseSubmit.textContent = '确认';
+            }
+            this.renderReverseGrid();
+            this.playEnterAnimation();
+            
+            // 开始计时
+            this.radicalShownAt = performance.now();
+        }
+        
+        this.focusInput();
+    }
+    
+    /**
+     * 渲染反向练习选项格
+     * 提交前显示选中状态（看过答案时同时标出正确字根），提交后显示每个选项的判定
+     * @param {Object} [result] - ReverseDrill.score() 的返回值
+     */
+    renderReverseGrid(result = null) {
+        const { reverseGrid } = this.elements;
+        if (!reverseGrid || !this.currentQuestion) return;
+        
+        const { options, answers } = this.currentQuestion;
+        reverseGrid.innerHTML = options.map((option, index) => {
+            const classes = ['reverse-option'];
+            if (result) {
+                if (result.hits.includes(option.id)) classes.push('hit');
+                else if (result.misses.includes(option.id)) classes.push('miss');
+                else if (result.falsePicks.includes(option.id)) classes.push('false-pick');
+            } else {
+                if (this.reverseSelected.has(option.id)) classes.push('selected');
+                if (this.answerRevealed && answers.has(option.id)) classes.push('revealed');
+            }
+            const label = index < 9 ? `<span class="reverse-option-index" aria-hidden="true">${index + 1}</span>` : '';
+            return `<button type="button" class="${classes.join(' ')}" data-option-index="${index}" aria-pressed="${this.reverseSelected.has(option.id)}" aria-label="${getRadicalName(option)}">${label}${glyphHTML(option.char)}</button>`;
+        }).join('');
+    }
+    
+    /**
+     * 更新整字拆分槽位（首字根 / 末字根）
+     * 已完成的键显示字根和按键，当前键在答错或显示答案后显示字根
+     */
+    updateCharacterSplit() {
+        const { charSplit } = this.elements;
+        if (!charSplit || !this.currentCharacter) return;
+        
+        const { radicals, keys } = this.currentCharacter;
+        charSplit.querySelectorAll('.split-slot').forEach(slot => {
+            const index = Number(slot.dataset.index);
+            const isDone = index < this.keyIndex;
+            const isActive = index === this.keyIndex;
+            const showRadical = isDone || (isActive && this.answerRevealed);
+            
+            slot.classList.toggle('done', isDone);
+            slot.classList.toggle('active', isActive);
+            slot.classList.toggle('wrong', isActive && this.characterHadError && this.answerRevealed);
+            renderGlyph(slot.querySelector('.split-radical'), showRadical ? radicals[index] : '？');
+            slot.querySelector('.split-key').textContent = isDone ? keys[index] : '';
+        });
+    }
+    
+    /**
+     * 播放字根/整字进入动画
+     */
+    playEnterAnimation() {
+        this.elements.radicalChar.classList.remove('radical-enter');
+        void this.elements.radicalChar.offsetWidth; // 触发重排
+        this.elements.radicalChar.classList.add('radical-enter');
+    }
+    
     /**
      * 显示按键提示
      */
@@ -542,9 +2768,56 @@ class PracticeApp {
             this.elements.keyHintContainer.classList.add('opacity-100');
         }
         // 高亮字根图中对应的按键
-        if (this.currentRadical) {
-            this.highlightKey(this.currentRadical.key);
+        const expectedKey = this.getExpectedKey();
+        if (expectedKey) {
+            this.highlightKey(expectedKey);
+        }
+    }
+    
+    /**
+     * 显示当前字根的提示卡：助记文字、笔画字形、例字和同键字根
+     */
+    showHintCard() {
+        const { hintCard, hintStroke, hintText, hintExamples, hintSiblings } = this.elements;
+        if (!hintCard || !this.currentRadical) return;
+        
+        const hint = this.hintManager.getHint(this.currentRadical);
+        hintStroke.textContent = hint.stroke || '';
+        hintStroke.classList.toggle('hidden', !hint.stroke);
+        hintText.textContent = hint.text || `「${this.currentRadical.char}」还没有助记提示`;
+        hintText.classList.toggle('hint-text-custom', hint.custom);
+        hintExamples.textContent = hint.examples.length > 0 ? `例字：${hint.examples.join(' ')}` : '';
+        hintSiblings.innerHTML = hint.siblings.length > 0 ? `同键字根：${hint.siblings.map(glyphHTML).join(' ')}` : '';
+        
+        hintCard.classList.remove('hidden');
+        this.hintShown = true;
+    }
+    
+    /**
+     * 隐藏提示卡
+     */
+    hideHintCard() {
+        this.hintShown = false;
+        if (this.elements.hintCard) {
+            this.elements.hintCard.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * 改写当前字根的助记文字（留空恢复默认）
+     */
+    editHint() {
+        if (!this.currentRadical) return;
+        
+        const { char } = this.currentRadical;
+        const current = this.hintManager.getHint(this.currentRadical).text;
+        const input = prompt(`改写「${char}」的助记文字（留空恢复默认，最多 ${HINT_MAX_LENGTH} 字）：`, current);
+        if (input !== null) {
+            this.hintManager.setHint(char, input);
+            this.saveToStorage();
+            this.showHintCard();
         }
+        this.focusInput();
     }
     
     /**
@@ -577,6 +2850,14 @@ class PracticeApp {
         // 清除之前的反馈
         this.clearFeedback();
         
+        // 触屏键盘：点过的按键显示判定结果并振动
+        if (this.touchMode) {
+            this.touchKeyboard.feedback(type === 'correct');
+        }
+        
+        // 音效
+        this.audio.play(type);
+        
         // 显示反馈图标
         feedbackIcon.classList.remove('opacity-0');
         feedbackIcon.classList.add('opacity-100');
@@ -599,7 +2880,10 @@ class PracticeApp {
                 iconWrong.classList.remove('hidden');
                 radicalChar.classList.add('feedback-wrong');
                 inputField.classList.add('input-wrong');
-                this.showMessage(`错误！正确答案是 ${this.currentRadical.key}`, 'wrong');
+                this.showMessage(
+                    this.answerRevealed ? `错误！正确答案是 ${this.getExpectedKey()}` : '错误！看看提示再试一次',
+                    'wrong'
+                );
                 // 错误时不自动清除，等待用户输入正确答案后由 showNextRadical 清除
                 break;
         }
@@ -608,9 +2892,25 @@ class PracticeApp {
     /**
      * 显示消息
      */
-    showMessage(text, type) {
+    showMessage(text, type, spoken = text) {
         const { feedbackMessage } = this.elements;
         feedbackMessage.innerHTML = `<span class="feedback-msg ${type}">${text}</span>`;
+        this.announce(spoken);
+    }
+    
+    /**
+     * 通过隐藏的 aria-live 区域让读屏软件朗读文字
+     * 先清空再写入，连续两次相同的文字也会朗读
+     * @param {string} text - 朗读的文字
+     */
+    announce(text) {
+        const { srAnnouncer } = this.elements;
+        if (!srAnnouncer || !text) return;
+        
+        srAnnouncer.textContent = '';
+        setTimeout(() => {
+            srAnnouncer.textContent = text;
+        }, 50);
     }
     
     /**
@@ -624,25 +2924,43 @@ class PracticeApp {
             '完美！',
             '无敌！'
         ];
-        const msgIndex = Math.min(Math.floor(combo / 5) - 1, messages.length - 1);
+        const interval = this.practiceSettings.get('comboInterval');
+        const msgIndex = Math.min(Math.floor(combo / interval) - 1, messages.length - 1);
         
-        // 清除之前的连击消息定时器
+        this.audio.play('combo');
+        this.showOverlayMessage(`<span class="feedback-msg combo">🔥 ${combo} 连击！${messages[msgIndex]}</span>`);
+        
+        // 连击动画
+        this.elements.combo.parentElement.classList.add('combo-achieved');
+        setTimeout(() => {
+            this.elements.combo.parentElement.classList.remove('combo-achieved');
+        }, 400);
+    }
+    
+    /**
+     * 在页面下方浮动显示一条消息（连击、解锁等），1.5 秒后淡出
+     * @param {string} html - 消息内容
+     */
+    showOverlayMessage(html) {
+        // 清除之前的消息定时器
         if (this.comboMessageTimer) {
             clearTimeout(this.comboMessageTimer);
             this.comboMessageTimer = null;
         }
         
-        // 移除之前的连击消息元素
+        // 移除之前的消息元素
         const oldComboMsg = document.querySelector('.combo-message-overlay');
         if (oldComboMsg) {
             oldComboMsg.remove();
         }
         
-        // 创建独立的连击消息元素（不受 clearFeedback 影响）
+        // 创建独立的消息元素（不受 clearFeedback 影响）
         const comboMsgEl = document.createElement('div');
         comboMsgEl.className = 'combo-message-overlay';
-        comboMsgEl.innerHTML = `<span class="feedback-msg combo">🔥 ${combo} 连击！${messages[msgIndex]}</span>`;
+        comboMsgEl.innerHTML = html;
+        comboMsgEl.setAttribute('aria-hidden', 'true');
         document.body.appendChild(comboMsgEl);
+        this.announce(comboMsgEl.textContent.trim());
         
         // 触发动画
         requestAnimationFrame(() => {
@@ -658,12 +2976,6 @@ class PracticeApp {
                 comboMsgEl.remove();
             }, 300);
         }, 1500);
-        
-        // 连击动画
-        this.elements.combo.parentElement.classList.add('combo-achieved');
-        setTimeout(() => {
-            this.elements.combo.parentElement.classList.remove('combo-achieved');
-        }, 400);
     }
     
     /**
@@ -697,9 +3009,13 @@ class PracticeApp {
     updateUI() {
         const { currentCount, totalCount, progressBar, accuracy, combo, comboMultiplier, multiplierValue, maxCombo } = this.elements;
         
-        // 进度
-        const practiced = this.stats.practicedCount;
-        const total = this.radicalManager.getTotalCount();
+        // 进度（整字模式显示整字进度，其余模式显示练习范围内的进度）
+        const { practiced, total } = this.mode === 'character'
+            ? { practiced: this.characterManager.getPracticedCount(), total: this.characterManager.getTotalCount() }
+            : this.radicalManager.getScopeProgress();
+        if (this.elements.scopeCount) {
+            this.elements.scopeCount.textContent = this.radicalManager.getScopeProgress().total;
+        }
         currentCount.textContent = practiced;
         totalCount.textContent = total;
         
@@ -713,11 +3029,14 @@ class PracticeApp {
             : 0;
         accuracy.textContent = acc;
         
+        // 反应时间
+        this.updateLatencyStats();
+        
         // 连击
         combo.textContent = this.stats.currentCombo;
         
-        // 连击倍数（每 10 连击增加 0.5 倍）
-        const multiplier = 1 + Math.floor(this.stats.currentCombo / 10) * 0.5;
+        // 连击倍数（限时挑战按此倍数计分）
+        const multiplier = getComboMultiplier(this.stats.currentCombo);
         if (multiplier > 1) {
             comboMultiplier.classList.remove('hidden');
             multiplierValue.textContent = multiplier.toFixed(1);
@@ -727,6 +3046,102 @@ class PracticeApp {
         
         // 最高连击
         maxCombo.textContent = this.stats.maxCombo;
+        
+        // 限时挑战得分
+        this.updateChallengeStatus();
+        
+        // 分组解锁进度
+        this.updateCurriculum();
+        
+        // 易混淆字根
+        this.updateConfusedPairs();
+        
+        // 出题算法：今日待复习与保持率
+        this.updateSchedulerStats();
+        
+        // 字根图掌握度着色
+        this.updateChartLevels();
+    }
+    
+    /**
+     * 更新平均与 P90 反应时间
+     */
+    updateLatencyStats() {
+        const { avgLatency, p90Latency } = this.elements;
+        const { average, p90 } = this.radicalManager.getLatencyStats();
+        const format = ms => (ms === null ? '—' : `${(ms / 1000).toFixed(2)}s`);
+        
+        if (avgLatency) avgLatency.textContent = format(average);
+        if (p90Latency) p90Latency.textContent = format(p90);
+    }
+    
+    /**
+     * 更新分组解锁进度和下一组字根
+     */
+    updateCurriculum() {
+        const { curriculumToggle, curriculumInfo, curriculumUnlocked, curriculumGroups, curriculumMastery, curriculumNext } = this.elements;
+        if (!curriculumToggle) return;
+        
+        const enabled = this.curriculum.isEnabled();
+        curriculumToggle.checked = enabled;
+        curriculumInfo.classList.toggle('hidden', !enabled);
+        if (!enabled) return;
+        
+        const progress = this.curriculum.getProgress(this.radicalManager.radicalData);
+        curriculumUnlocked.textContent = `${progress.unlockedRadicals}/${progress.totalRadicals}`;
+        curriculumGroups.textContent = `${progress.unlockedGroups}/${progress.totalGroups}`;
+        curriculumMastery.textContent = `${progress.mastery.mastered}/${progress.mastery.total}`;
+        
+        if (progress.next) {
+            const chars = progress.next.ids.map(id => RADICAL_LIST.find(r => r.id === id).char).join('');
+            curriculumNext.textContent = `掌握 ${progress.mastery.required} 个后解锁「${progress.next.name}」：${chars}`;
+        } else {
+            curriculumNext.textContent = '已解锁全部字根';
+        }
+    }
+    
+    /**
+     * 更新最常混淆的字根-按键组合
+     */
+    updateConfusedPairs() {
+        const { confusedPairs } = this.elements;
+        if (!confusedPairs) return;
+        
+        const pairs = this.radicalManager.getConfusedPairs();
+        if (pairs.length === 0) {
+            confusedPairs.innerHTML = '<li class="confused-empty">暂无混淆记录</li>';
+            return;
+        }
+        
+        confusedPairs.innerHTML = pairs
+            .map(({ radical, expected, pressed, count }) => `
+                <li title="${radical} 应按 ${expected}，${count} 次按成 ${pressed}">
+                    <span class="confused-radical">${radical}</span>
+                    <kbd>${expected}</kbd><span class="confused-arrow">→</span><kbd class="confused-pressed">${pressed}</kbd>
+                    <span class="confused-count">×${count}</span>
+                </li>`)
+            .join('');
+    }
+    
+    /**
+     * 更新今日待复习数量和各算法的复习保持率
+     */
+    updateSchedulerStats() {
+        const { dueTodayCount, retentionStats } = this.elements;
+        
+        if (dueTodayCount) {
+            dueTodayCount.textContent = this.radicalManager.getDueToday().length;
+        }
+        
+        if (retentionStats) {
+            const retention = this.radicalManager.getRetentionStats();
+            retentionStats.innerHTML = Object.entries(retention)
+                .map(([algo, { reviews, correct }]) => {
+                    const rate = reviews > 0 ? `${Math.round((correct / reviews) * 100)}%` : '—';
+                    return `<span class="block">${SELECTION_ALGORITHMS[algo]}：${rate}（${reviews} 次）</span>`;
+                })
+                .join('');
+        }
     }
     
     /**
@@ -744,8 +3159,17 @@ class PracticeApp {
                 practicedCount: 0
             };
             
+            // 放弃进行中的挑战并清空排行榜
+            if (this.challenge) {
+                this.abortChallenge();
+            }
+            this.leaderboard.reset();
+            
             // 重置字根管理器
             this.radicalManager.resetWeights();
+            this.characterManager.reset();
+            this.sessionManager.reset();
+            this.curriculum.reset();
             
             // 清除存储
             this.storageManager.reset();
@@ -756,8 +3180,8 @@ class PracticeApp {
             // 更新 UI
             this.updateUI();
             
-            // 显示新字根（会自动隐藏按键提示）
-            this.showNextRadical();
+            // 显示新练习项（会自动隐藏按键提示）
+            this.showNext();
             
             // 显示提示
             this.showMessage('已重置，重新开始！', 'skip');
@@ -768,6 +3192,9 @@ class PracticeApp {
      * 聚焦输入框
      */
     focusInput() {
+        // 触屏模式聚焦输入框会弹出软键盘
+        if (this.touchMode) return;
+        
         // 延迟聚焦，确保动画完成
         setTimeout(() => {
             this.elements.inputField.focus();
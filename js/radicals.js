@@ -1,47 +1,23 @@
 /**
  * 首右plus 字根数据模块
- * 基于 chaifen.txt 解析的字根与按键对应关系
+ * 字根与按键的对应关系来自启动时加载的字根方案（见 schemes.js）
  */
 
 // 字根数据：按键 -> 字根数组
-const RADICAL_MAP = {
-    'Q': ['火', '龶'],
-    'W': ['王', '亠', '攵'],
-    'E': ['禾', '阝'],
-    'R': ['亻', '彳'],
-    'T': ['土', '田'],
-    'Y': ['月', '又', '雨'],
-    'U': ['氵'],
-    'I': ['纟', '厶'],
-    'O': ['虫', '刂'],
-    'P': ['撇'],
-    'A': ['讠'],
-    'S': ['竖', '饣', '石', '尸'],
-    'D': ['点', '目'],
-    'F': ['扌', '十'],
-    'G': ['竹', '辶', '山', '弓'],
-    'H': ['横'],
-    'J': ['钅', '几', '巾'],
-    'K': ['口'],
-    'L': ['日', '⺈', '力', '大'],
-    'Z': ['⻊', '子', '西', '疒'],
-    'X': ['忄', '小', '彐', '广'],
-    'C': ['艹', '车', '乂', '寸'],
-    'V': ['折', '舟'],
-    'B': ['宀', '贝', '勹', '八', '犭'],
-    'N': ['女', '鸟'],
-    'M': ['木', '门']
-};
+const RADICAL_MAP = buildRadicalMap(ACTIVE_SCHEME);
 
 // 生成扁平化的字根列表，每个字根包含其对应的按键
 const RADICAL_LIST = [];
 
-for (const [key, radicals] of Object.entries(RADICAL_MAP)) {
-    for (const radical of radicals) {
+for (const [key, entries] of Object.entries(ACTIVE_SCHEME.keys)) {
+    for (const entry of entries) {
+        const { char, color } = normalizeRadicalEntry(entry);
         RADICAL_LIST.push({
-            char: radical,      // 字根字符
+            char: char,         // 字根字符
             key: key,           // 对应按键
-            id: `${key}_${radical}` // 唯一标识
+            id: `${key}_${char}`, // 唯一标识
+            color: color,       // 字根图显示颜色
+            stroke: ACTIVE_SCHEME.strokes[char] || null // 笔画别名对应的笔画字形
         });
     }
 }
@@ -49,33 +25,165 @@ for (const [key, radicals] of Object.entries(RADICAL_MAP)) {
 // 总字根数量
 const TOTAL_RADICALS = RADICAL_LIST.length;
 
+// 尝试记录最多保留的条数（滚动覆盖最旧的记录）
+const ATTEMPT_LOG_LIMIT = 500;
+
+// 每个字根保留的反应时间样本数
+const LATENCY_SAMPLE_LIMIT = 10;
+
+// 掌握程度分级（与 getLearningStats 的统计口径一致）
+const MASTERY_LEVELS = {
+    new: '未练习',
+    learning: '学习中',
+    mastered: '已掌握',
+    difficult: '困难'
+};
+
+// 易混淆字根：历史上同一对按键混淆达到该次数后，才会在出题时安排对比练习
+const CONTRAST_MIN_COUNT = 2;
+
+// 上一个字根有易混淆按键时，下一题安排对比练习的概率
+const CONTRAST_CHANCE = 0.4;
+
+// 可选的出题算法
+const SELECTION_ALGORITHMS = {
+    priority: '智能优先级',
+    sm2: '间隔重复（SM-2）'
+};
+
 /**
  * 字根管理器类
  * 使用改进的间隔重复算法
  */
 class RadicalManager {
     constructor() {
-        // 字根学习数据：包含权重、熟练度、上次练习时间等
+        // 间隔重复调度器
+        this.scheduler = new SpacedScheduler();
+        
+        // 出题算法：priority（智能优先级）/ sm2（间隔重复）
+        this.algorithm = 'priority';
+        
+        // 智能优先级算法的候选池大小：从优先级最高的前几个字根中随机选择
+        this.candidatePoolSize = 5;
+        
+        // 练习范围及范围内的字根（出题字根池）
+        this.scope = { id: DEFAULT_SCOPE_ID };
+        this.pool = RADICAL_LIST;
+        
+        // 分组解锁课程（见 curriculum.js），开启后只从已解锁的字根中出题
+        this.curriculum = null;
+        
+        // 字根学习数据：包含权重、熟练度、上次练习时间、调度字段等
         this.radicalData = {};
+        
+        // 其他方案独有字根的学习数据和已练习标记：所有方案共用一份进度，
+        // 当前方案用不到的条目原样保留，保存时一并写回，切换回去时进度仍在
+        this.otherRadicalData = {};
+        this.otherPracticed = [];
         // 初始化所有字根数据
         RADICAL_LIST.forEach(r => {
-            this.radicalData[r.id] = {
-                weight: 1,           // 基础权重
-                mastery: 0,          // 熟练度（连续答对次数，0-5）
-                lastPracticed: 0,    // 上次练习时间戳
-                wrongCount: 0,       // 总错误次数
-                correctCount: 0      // 总正确次数
-            };
+            this.radicalData[r.id] = this.createDefaultData();
         });
         
         // 上一个字根（避免连续重复）
         this.lastRadical = null;
         
+        // 反向练习的上一个按键（避免连续重复）
+        this.lastKey = null;
+        
+        // 刚刚发生的按键混淆 { radicalId, key }，下一题优先出该键上的字根做对比
+        this.pendingContrast = null;
+        
         // 已练习的字根集合
         this.practicedRadicals = new Set();
         
         // 练习计数器（用于间隔重复）
         this.practiceCounter = 0;
+        
+        // 最近的尝试记录：{ id, correct, at, algo, key?, review?, ms? }
+        this.attemptLog = [];
+    }
+    
+    /**
+     * 单个字根的默认学习数据
+     */
+    createDefaultData() {
+        return {
+            weight: 1,             // 基础权重
+            mastery: 0,            // 熟练度（0-5，答得慢只加部分熟练度）
+            lastPracticed: 0,      // 上次练习时的练习计数器值
+            lastPracticedAt: null, // 上次练习的墙钟时间（毫秒时间戳）
+            lastReviewCounter: 0,  // 上次计入调度时的练习计数器值
+            wrongCount: 0,         // 总错误次数
+            correctCount: 0,       // 总正确次数
+            latencies: [],         // 最近几次答对的反应时间（毫秒）
+            confusions: {},        // 混淆记录：错按的键 -> 次数
+            ...SpacedScheduler.createCardData()
+        };
+    }
+    
+    /**
+     * 设置出题算法
+     * @param {string} algorithm - priority / sm2
+     */
+    setAlgorithm(algorithm) {
+        if (SELECTION_ALGORITHMS[algorithm]) {
+            this.algorithm = algorithm;
+        }
+    }
+    
+    /**
+     * 获取当前出题算法
+     */
+    getAlgorithm() {
+        return this.algorithm;
+    }
+    
+    /**
+     * 设置智能优先级算法的候选池大小
+     * @param {number} size - 候选字根个数（至少为 1）
+     */
+    setCandidatePoolSize(size) {
+        if (Number.isInteger(size) && size >= 1) {
+            this.candidatePoolSize = size;
+        }
+    }
+    
+    /**
+     * 设置练习范围，出题只从范围内的字根中选择
+     * @param {Object} scope - 范围设置（见 scopes.js）
+     * @returns {boolean} 范围内没有字根时返回 false，保持原范围不变
+     */
+    setScope(scope) {
+        const pool = resolveScopeRadicals(scope);
+        if (pool.length === 0) return false;
+        
+        this.scope = scope;
+        this.pool = pool;
+        this.pendingContrast = null;
+        return true;
+    }
+    
+    /**
+     * 获取当前练习范围
+     */
+    getScope() {
+        return this.scope;
+    }
+    
+    /**
+     * 设置分组解锁课程
+     * @param {Curriculum} curriculum - 课程
+     */
+    setCurriculum(curriculum) {
+        this.curriculum = curriculum;
+    }
+    
+    /**
+     * 获取出题候选字根：练习范围内、且已被课程解锁的字根
+     */
+    getCandidates() {
+        return this.curriculum ? this.curriculum.filter(this.pool) : this.pool;
     }
     
     /**
@@ -120,12 +228,25 @@ class RadicalManager {
     /**
      * 获取下一个字根（基于优先级的智能选择）
      * 优先选择：未练习 > 不熟练 > 错误多 > 间隔时间长
+     * 刚答错或有易混淆按键时，先安排混淆按键上的字根做对比练习
      */
     getNextRadical() {
         this.practiceCounter++;
         
-        // 计算所有字根的优先级
-        const priorityList = RADICAL_LIST.map(r => ({
+        // 易混淆字根紧接着出现，做对比练习（两种出题算法都适用；
+        // 间隔重复下对比出现的字根多半未到期，答对不会放大间隔，见 SpacedScheduler.review）
+        const contrast = this.getContrastRadical();
+        if (contrast) {
+            this.lastRadical = contrast;
+            return contrast;
+        }
+        
+        if (this.algorithm === 'sm2') {
+            return this.getNextScheduledRadical();
+        }
+        
+        // 计算所有候选字根的优先级
+        const priorityList = this.getCandidates().map(r => ({
             radical: r,
             priority: this.calculatePriority(r.id)
         }));
@@ -133,8 +254,8 @@ class RadicalManager {
         // 按优先级排序
         priorityList.sort((a, b) => b.priority - a.priority);
         
-        // 从前 5 个高优先级字根中随机选择（增加一些随机性）
-        const topCandidates = priorityList.slice(0, Math.min(5, priorityList.length));
+        // 从前几个高优先级字根中随机选择（增加一些随机性）
+        const topCandidates = priorityList.slice(0, Math.min(this.candidatePoolSize, priorityList.length));
         
         // 加权随机选择，优先级越高被选中概率越大
         let totalPriority = topCandidates.reduce((sum, item) => sum + item.priority, 0);
@@ -158,56 +279,243 @@ class RadicalManager {
         return selected;
     }
     
+    /**
+     * 选择对比练习的字根
+     * 刚答错时必出错按键上的字根；否则按一定概率，从上一个字根历史上最常混淆的按键中选
+     * @returns {Object|null} 字根对象，不需要对比练习时返回 null
+     */
+    getContrastRadical() {
+        let source = this.pendingContrast;
+        this.pendingContrast = null;
+        
+        if (!source && this.lastRadical && Math.random() < CONTRAST_CHANCE) {
+            const [top] = this.getConfusions(this.lastRadical.id);
+            if (top && top.count >= CONTRAST_MIN_COUNT) {
+                source = { radicalId: this.lastRadical.id, key: top.key };
+            }
+        }
+        if (!source) return null;
+        
+        const expected = RADICAL_LIST.find(r => r.id === source.radicalId);
+        const candidates = this.getCandidates().filter(r => r.key === source.key);
+        if (!expected || candidates.length === 0) return null;
+        
+        // 优先选反过来也被错按到原按键的字根，其次选优先级最高的
+        const scored = candidates.map(r => ({
+            radical: r,
+            mutual: this.radicalData[r.id].confusions[expected.key] || 0,
+            priority: this.calculatePriority(r.id)
+        }));
+        scored.sort((a, b) => (b.mutual - a.mutual) || (b.priority - a.priority));
+        return scored[0].radical;
+    }
+    
+    /**
+     * 获取某个字根的混淆记录，按次数从多到少排列
+     * @param {string} radicalId - 字根ID
+     * @returns {Array} [{ key, count }]
+     */
+    getConfusions(radicalId) {
+        const data = this.radicalData[radicalId];
+        if (!data) return [];
+        return Object.entries(data.confusions)
+            .map(([key, count]) => ({ key, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+    
+    /**
+     * 获取最常混淆的字根-按键组合
+     * @param {number} [limit] - 最多返回的条数
+     * @returns {Array} [{ radical, expected, pressed, count }]
+     */
+    getConfusedPairs(limit = 5) {
+        const pairs = [];
+        for (const radical of RADICAL_LIST) {
+            for (const { key, count } of this.getConfusions(radical.id)) {
+                pairs.push({ radical: radical.char, expected: radical.key, pressed: key, count });
+            }
+        }
+        return pairs.sort((a, b) => b.count - a.count).slice(0, limit);
+    }
+    
+    /**
+     * 获取下一个按键（反向练习：按键 -> 字根）
+     * 按键优先级取其候选字根优先级的平均值，从前 3 个按键中随机选择
+     * 只出候选字根所在的按键，未解锁或不在练习范围内的字根不参与计算
+     */
+    getNextKey() {
+        this.practiceCounter++;
+        this.pendingContrast = null;
+        
+        const candidates = this.getCandidates();
+        const keys = Object.keys(RADICAL_MAP).filter(key => candidates.some(r => r.key === key));
+        const priorityList = keys
+            .filter(key => key !== this.lastKey || keys.length === 1)
+            .map(key => {
+                const radicals = candidates.filter(r => r.key === key);
+                const total = radicals.reduce((sum, r) => sum + this.calculatePriority(r.id), 0);
+                return { key, priority: total / radicals.length };
+            })
+            .sort((a, b) => b.priority - a.priority);
+        
+        const topCandidates = priorityList.slice(0, Math.min(3, priorityList.length));
+        const selected = topCandidates[Math.floor(Math.random() * topCandidates.length)].key;
+        
+        this.lastKey = selected;
+        return selected;
+    }
+    
+    /**
+     * 按间隔重复调度器选择下一个字根
+     */
+    getNextScheduledRadical() {
+        const selected = this.scheduler.pickNext(
+            this.getCandidates(), this.radicalData, Date.now(), this.lastRadical?.id
+        );
+        this.lastRadical = selected;
+        return selected;
+    }
+    
+    /**
+     * 获取今天到期待复习的字根
+     */
+    getDueToday() {
+        return this.scheduler.getDueToday(RADICAL_LIST, this.radicalData);
+    }
+    
+    /**
+     * 把本次出题的第一个作答结果计入调度
+     * 同一次出题中答错后的补答不再重复计入
+     * @param {Object} data - 字根数据
+     * @param {Object} outcome - { correct, responseMs, revealed }
+     * @returns {boolean} 是否为本次出题的第一个作答结果
+     */
+    scheduleReview(data, outcome) {
+        if (data.lastReviewCounter === this.practiceCounter) {
+            return false;
+        }
+        data.lastReviewCounter = this.practiceCounter;
+        this.scheduler.review(data, this.scheduler.grade(outcome));
+        return true;
+    }
+    
     /**
      * 处理答对（更新熟练度和权重）
      * @param {string} radicalId - 字根ID
+     * @param {Object} [outcome] - { responseMs, revealed }
      */
-    handleCorrect(radicalId) {
+    handleCorrect(radicalId, outcome = {}) {
         const data = this.radicalData[radicalId];
         if (data) {
-            // 增加熟练度（最高 5）
-            data.mastery = Math.min(5, data.mastery + 1);
+            const wasPracticed = data.correctCount + data.wrongCount > 0;
+            const isFirst = this.scheduleReview(data, { ...outcome, correct: true });
+            // 增加熟练度（最高 5），答得慢只算部分熟练；看过答案或答错后的补答不增加
+            if (isFirst && !outcome.revealed) {
+                data.mastery = Math.min(5, data.mastery + this.getMasteryGain(outcome.responseMs));
+            }
+            // 记录反应时间（仅本次出题中未看答案的第一次作答）
+            const latency = isFirst && !outcome.revealed ? outcome.responseMs : undefined;
+            if (typeof latency === 'number') {
+                data.latencies = [...data.latencies, latency].slice(-LATENCY_SAMPLE_LIMIT);
+            }
             // 降低权重
             data.weight = Math.max(0.3, data.weight * 0.7);
             // 更新练习时间
             data.lastPracticed = this.practiceCounter;
+            data.lastPracticedAt = Date.now();
             // 增加正确计数
             data.correctCount++;
+            this.logAttempt(radicalId, true, { review: isFirst && wasPracticed, ms: latency });
         }
     }
     
+    /**
+     * 按反应时间计算一次答对增加的熟练度
+     * 快速答对 +1，稍慢 +0.5，很慢 +0.25；没有计时信息时按 +1 处理
+     * @param {number} [responseMs] - 反应时间（毫秒）
+     */
+    getMasteryGain(responseMs) {
+        if (typeof responseMs !== 'number') return 1;
+        if (responseMs <= GRADE_FAST_MS) return 1;
+        if (responseMs <= GRADE_SLOW_MS) return 0.5;
+        return 0.25;
+    }
+    
     /**
      * 处理答错（重置熟练度，增加权重）
      * @param {string} radicalId - 字根ID
+     * @param {string} [inputKey] - 实际按下的键
+     * @param {Object} [outcome] - { responseMs }
      */
-    handleWrong(radicalId) {
+    handleWrong(radicalId, inputKey, outcome = {}) {
         const data = this.radicalData[radicalId];
         if (data) {
+            const wasPracticed = data.correctCount + data.wrongCount > 0;
+            const isFirst = this.scheduleReview(data, { ...outcome, correct: false });
             // 重置熟练度（答错一次就需要重新建立记忆）
             data.mastery = 0;
             // 增加权重（最高 5）
             data.weight = Math.min(5, data.weight + 1.5);
             // 更新练习时间
             data.lastPracticed = this.practiceCounter;
+            data.lastPracticedAt = Date.now();
             // 增加错误计数
             data.wrongCount++;
+            // 记录混淆：应按的键 -> 实际按下的键
+            const pressedKey = inputKey ? inputKey.toUpperCase() : null;
+            const radical = RADICAL_LIST.find(r => r.id === radicalId);
+            if (pressedKey && radical && pressedKey !== radical.key) {
+                data.confusions = { ...data.confusions, [pressedKey]: (data.confusions[pressedKey] || 0) + 1 };
+                this.pendingContrast = { radicalId, key: pressedKey };
+            }
+            this.logAttempt(radicalId, false, {
+                key: pressedKey || undefined,
+                review: isFirst && wasPracticed
+            });
+        }
+    }
+    
+    /**
+     * 追加一条尝试记录，超出上限时丢弃最旧的记录
+     * review 标记“已学过的字根在本次出题中的第一个作答”，用于统计保持率
+     * @param {string} radicalId - 字根ID
+     * @param {boolean} correct - 是否答对
+     * @param {Object} [details] - { key, review, ms }
+     */
+    logAttempt(radicalId, correct, details = {}) {
+        const entry = { id: radicalId, correct, at: Date.now(), algo: this.algorithm };
+        if (details.key) {
+            entry.key = details.key;
+        }
+        if (typeof details.ms === 'number') {
+            entry.ms = details.ms;
+        }
+        if (details.review) {
+            entry.review = true;
+        }
+        this.attemptLog.push(entry);
+        if (this.attemptLog.length > ATTEMPT_LOG_LIMIT) {
+            this.attemptLog.splice(0, this.attemptLog.length - ATTEMPT_LOG_LIMIT);
         }
     }
     
     /**
      * 增加字根权重（答错时调用）- 保留旧接口兼容
      * @param {string} radicalId - 字根ID
+     * @param {string} [inputKey] - 实际按下的键
+     * @param {Object} [outcome] - { responseMs }
      */
-    increaseWeight(radicalId) {
-        this.handleWrong(radicalId);
+    increaseWeight(radicalId, inputKey, outcome) {
+        this.handleWrong(radicalId, inputKey, outcome);
     }
     
     /**
      * 减少字根权重（答对时调用）- 保留旧接口兼容
      * @param {string} radicalId - 字根ID
+     * @param {Object} [outcome] - { responseMs, revealed }
      */
-    decreaseWeight(radicalId) {
-        this.handleCorrect(radicalId);
+    decreaseWeight(radicalId, outcome) {
+        this.handleCorrect(radicalId, outcome);
     }
     
     /**
@@ -225,6 +533,23 @@ class RadicalManager {
         return this.practicedRadicals.size >= TOTAL_RADICALS;
     }
     
+    /**
+     * 获取当前练习范围的进度
+     * @returns {Object} { practiced, total }
+     */
+    getScopeProgress() {
+        const practiced = this.pool.filter(r => this.practicedRadicals.has(r.id)).length;
+        return { practiced, total: this.pool.length };
+    }
+    
+    /**
+     * 检查当前练习范围内的字根是否都已练习
+     */
+    isScopeComplete() {
+        const { practiced, total } = this.getScopeProgress();
+        return practiced >= total;
+    }
+    
     /**
      * 获取已练习的字根数量
      */
@@ -274,22 +599,99 @@ class RadicalManager {
         };
     }
     
+    /**
+     * 获取单个字根的掌握程度分级
+     * 未练习 > 已掌握（熟练度 >= 3）> 困难（错误 >= 3 次且尚未掌握）> 学习中
+     * @param {string} radicalId - 字根ID
+     */
+    getRadicalLevel(radicalId) {
+        const data = this.radicalData[radicalId];
+        if (!data || !this.practicedRadicals.has(radicalId)) return 'new';
+        if (data.mastery >= 3) return 'mastered';
+        if (data.wrongCount >= 3) return 'difficult';
+        return 'learning';
+    }
+    
+    /**
+     * 获取所有字根的掌握程度分级
+     * @returns {Object} 字根ID -> 分级
+     */
+    getRadicalLevels() {
+        const levels = {};
+        RADICAL_LIST.forEach(r => {
+            levels[r.id] = this.getRadicalLevel(r.id);
+        });
+        return levels;
+    }
+    
+    /**
+     * 统计反应时间（基于尝试记录中的答对记录）
+     * @returns {Object} { average, p90, count }，没有样本时 average 和 p90 为 null
+     */
+    getLatencyStats() {
+        const samples = this.attemptLog
+            .filter(entry => typeof entry.ms === 'number')
+            .map(entry => entry.ms)
+            .sort((a, b) => a - b);
+        
+        if (samples.length === 0) {
+            return { average: null, p90: null, count: 0 };
+        }
+        
+        const sum = samples.reduce((total, ms) => total + ms, 0);
+        const p90Index = Math.ceil(samples.length * 0.9) - 1;
+        return {
+            average: Math.round(sum / samples.length),
+            p90: samples[p90Index],
+            count: samples.length
+        };
+    }
+    
+    /**
+     * 获取单个字根的平均反应时间（毫秒），没有样本时返回 null
+     * @param {string} radicalId - 字根ID
+     */
+    getAverageLatency(radicalId) {
+        const latencies = this.radicalData[radicalId]?.latencies || [];
+        if (latencies.length === 0) return null;
+        return Math.round(latencies.reduce((total, ms) => total + ms, 0) / latencies.length);
+    }
+    
+    /**
+     * 按出题算法统计复习保持率
+     * 只统计已学过字根在每次出题中的第一个作答
+     * @returns {Object} 算法 -> { reviews, correct }
+     */
+    getRetentionStats() {
+        const result = {};
+        for (const algo of Object.keys(SELECTION_ALGORITHMS)) {
+            result[algo] = { reviews: 0, correct: 0 };
+        }
+        for (const entry of this.attemptLog) {
+            if (!entry.review || !result[entry.algo]) continue;
+            result[entry.algo].reviews++;
+            if (entry.correct) {
+                result[entry.algo].correct++;
+            }
+        }
+        return result;
+    }
+    
     /**
      * 重置所有数据
      */
     resetWeights() {
         RADICAL_LIST.forEach(r => {
-            this.radicalData[r.id] = {
-                weight: 1,
-                mastery: 0,
-                lastPracticed: 0,
-                wrongCount: 0,
-                correctCount: 0
-            };
+            this.radicalData[r.id] = this.createDefaultData();
         });
         this.practicedRadicals.clear();
+        this.otherRadicalData = {};
+        this.otherPracticed = [];
         this.lastRadical = null;
+        this.lastKey = null;
+        this.pendingContrast = null;
         this.practiceCounter = 0;
+        this.attemptLog = [];
     }
     
     /**
@@ -297,6 +699,7 @@ class RadicalManager {
      * @param {Object} savedWeights - 保存的权重数据
      */
     restoreWeights(savedWeights) {
+        this.otherRadicalData = {};
         if (savedWeights && typeof savedWeights === 'object') {
             // 检查是否是新格式（包含 mastery 等字段）
             const firstKey = Object.keys(savedWeights)[0];
@@ -305,6 +708,8 @@ class RadicalManager {
                 for (const [id, data] of Object.entries(savedWeights)) {
                     if (this.radicalData[id]) {
                         this.radicalData[id] = { ...this.radicalData[id], ...data };
+                    } else {
+                        this.otherRadicalData[id] = data;
                     }
                 }
             } else {
@@ -312,6 +717,8 @@ class RadicalManager {
                 for (const [id, weight] of Object.entries(savedWeights)) {
                     if (this.radicalData[id]) {
                         this.radicalData[id].weight = weight;
+                    } else {
+                        this.otherRadicalData[id] = { weight };
                     }
                 }
             }
@@ -328,13 +735,26 @@ class RadicalManager {
         }
     }
     
+    /**
+     * 恢复尝试记录
+     * @param {Array} log - 尝试记录数组
+     */
+    restoreAttemptLog(log) {
+        if (Array.isArray(log)) {
+            this.attemptLog = log.slice(-ATTEMPT_LOG_LIMIT);
+        }
+    }
+    
     /**
      * 从存储恢复已练习字根
      * @param {Array} practicedIds - 已练习的字根ID数组
      */
     restorePracticed(practicedIds) {
+        this.otherPracticed = [];
         if (Array.isArray(practicedIds)) {
-            this.practicedRadicals = new Set(practicedIds);
+            // 当前方案中存在的字根参与练习，其余的原样保留
+            this.practicedRadicals = new Set(practicedIds.filter(id => this.radicalData[id]));
+            this.otherPracticed = practicedIds.filter(id => !this.radicalData[id]);
         }
     }
     
@@ -342,8 +762,8 @@ class RadicalManager {
      * 获取当前权重数据（用于存储）
      */
     getWeightsData() {
-        // 返回完整的 radicalData 用于存储
-        const data = {};
+        // 返回完整的 radicalData 用于存储（含其他方案独有字根的数据）
+        const data = { ...this.otherRadicalData };
         for (const [id, radicalData] of Object.entries(this.radicalData)) {
             data[id] = { ...radicalData };
         }
@@ -357,11 +777,18 @@ class RadicalManager {
         return this.practiceCounter;
     }
     
+    /**
+     * 获取尝试记录（用于存储）
+     */
+    getAttemptLog() {
+        return this.attemptLog.slice();
+    }
+    
     /**
      * 获取已练习字根ID数组（用于存储）
      */
     getPracticedData() {
-        return Array.from(this.practicedRadicals);
+        return [...this.otherPracticed, ...this.practicedRadicals];
     }
     
     /**
@@ -387,3 +814,8 @@ window.RadicalManager = RadicalManager;
 window.RADICAL_MAP = RADICAL_MAP;
 window.RADICAL_LIST = RADICAL_LIST;
 window.TOTAL_RADICALS = TOTAL_RADICALS;
+window.ATTEMPT_LOG_LIMIT = ATTEMPT_LOG_LIMIT;
+window.SELECTION_ALGORITHMS = SELECTION_ALGORITHMS;
+window.MASTERY_LEVELS = MASTERY_LEVELS;
+window.CONTRAST_MIN_COUNT = CONTRAST_MIN_COUNT;
+window.LATENCY_SAMPLE_LIMIT = LATENCY_SAMPLE_LIMIT;
@@ -0,0 +1,111 @@
+/**
+ * 首右plus 反向练习模块
+ * 显示一个按键，从干扰项中选出该键上的全部字根
+ * 按键与字根的对应关系由 RADICAL_MAP 推导，作答结果计入 RadicalManager 的字根统计
+ */
+
+// 选项格的最少选项数（正确字根 + 干扰字根）
+const REVERSE_MIN_OPTIONS = 8;
+
+// 每题至少包含的干扰字根数
+const REVERSE_MIN_DISTRACTORS = 4;
+
+/**
+ * 反向练习类
+ * 负责出题、评分，并把每个字根的判定结果交给 RadicalManager
+ */
+class ReverseDrill {
+    /**
+     * @param {RadicalManager} radicalManager - 字根管理器
+     */
+    constructor(radicalManager) {
+        this.radicalManager = radicalManager;
+    }
+
+    /**
+     * 生成下一题
+     * @returns {Object|null} { key, answers, options }，answers 为正确字根ID集合，options 为打乱后的字根列表
+     */
+    createQuestion() {
+        const key = this.radicalManager.getNextKey();
+        const answers = RADICAL_LIST.filter(r => r.key === key);
+        const others = RADICAL_LIST.filter(r => r.key !== key);
+        if (answers.length === 0) return null;
+
+        const distractorCount = Math.min(
+            others.length,
+            Math.max(REVERSE_MIN_DISTRACTORS, REVERSE_MIN_OPTIONS - answers.length)
+        );
+        const distractors = this.shuffle(others).slice(0, distractorCount);
+
+        return {
+            key,
+            answers: new Set(answers.map(r => r.id)),
+            options: this.shuffle([...answers, ...distractors])
+        };
+    }
+
+    /**
+     * 评分：选中的正确字根得分，漏选不得分，误选扣分，最低 0 分
+     * @param {Object} question - 当前题目
+     * @param {Set<string>} selected - 选中的字根ID
+     * @returns {Object} { hits, misses, falsePicks, score }，score 为 0-1 的部分得分
+     */
+    score(question, selected) {
+        const hits = [];
+        const misses = [];
+        const falsePicks = [];
+
+        for (const option of question.options) {
+            const isAnswer = question.answers.has(option.id);
+            const isSelected = selected.has(option.id);
+            if (isAnswer && isSelected) hits.push(option.id);
+            else if (isAnswer) misses.push(option.id);
+            else if (isSelected) falsePicks.push(option.id);
+        }
+
+        const score = Math.max(0, (hits.length - falsePicks.length) / question.answers.size);
+        return { hits, misses, falsePicks, score };
+    }
+
+    /**
+     * 把作答结果计入字根统计
+     * 选中的正确字根算答对；漏选的字根算答错；误选的字根记为被错按到本题按键
+     * 答对字根的反应时间取整题用时按本题字根数平均
+     * @param {Object} question - 当前题目
+     * @param {Object} result - score() 的返回值
+     * @param {boolean} revealed - 是否看过答案
+     * @param {number} [responseMs] - 从出题到提交的用时（毫秒）
+     */
+    record(question, result, revealed, responseMs) {
+        const perRadicalMs = typeof responseMs === 'number'
+            ? Math.round(responseMs / question.answers.size)
+            : undefined;
+        for (const id of result.hits) {
+            this.radicalManager.markPracticed(id);
+            this.radicalManager.handleCorrect(id, { revealed, responseMs: perRadicalMs });
+        }
+        for (const id of result.misses) {
+            this.radicalManager.handleWrong(id);
+        }
+        for (const id of result.falsePicks) {
+            this.radicalManager.handleWrong(id, question.key);
+        }
+    }
+
+    /**
+     * 返回打乱顺序的新数组（Fisher-Yates）
+     * @param {Array} list - 原数组
+     */
+    shuffle(list) {
+        const result = [...list];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+// 导出（全局变量方式）
+window.ReverseDrill = ReverseDrill;
@@ -0,0 +1,146 @@
+/**
+ * 首右plus 间隔重复调度模块
+ * SM-2 风格的调度器：按字根保存难度系数（ease）、间隔和到期时间（墙钟时间），
+ * 根据正误与反应时间评分，可跨天安排复习
+ */
+
+// 一天的毫秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 答错后重新学习的等待时间（同一次练习内再次出现）
+const RELEARN_DELAY_MS = 60 * 1000;
+
+// 反应时间评分阈值（毫秒）：快于 FAST 记 5 分，慢于 SLOW 记 3 分，其余 4 分
+const GRADE_FAST_MS = 1500;
+const GRADE_SLOW_MS = 4000;
+
+// 难度系数的初始值与下限
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * 间隔重复调度器类
+ * 只读写传入的字根数据对象中的调度字段：ease、interval、reps、lapses、due
+ */
+class SpacedScheduler {
+    /**
+     * 调度字段的默认值
+     */
+    static createCardData() {
+        return {
+            ease: DEFAULT_EASE, // 难度系数
+            interval: 0,        // 当前复习间隔（天）
+            reps: 0,            // 连续成功复习次数
+            lapses: 0,          // 遗忘次数
+            due: null           // 下次到期时间（毫秒时间戳），null 表示新字根
+        };
+    }
+
+    /**
+     * 根据作答结果评分（SM-2 的 0-5 分制）
+     * @param {Object} outcome - { correct, responseMs, revealed }
+     */
+    grade({ correct, responseMs, revealed }) {
+        if (!correct) return 1;
+        // 看过答案后才答对，视为没记住
+        if (revealed) return 2;
+        if (typeof responseMs !== 'number') return 4;
+        if (responseMs <= GRADE_FAST_MS) return 5;
+        if (responseMs <= GRADE_SLOW_MS) return 4;
+        return 3;
+    }
+
+    /**
+     * 按评分更新调度字段
+     * 没有到期的字根被提前复习（见 pickNext）并答对时，只从现在起按原间隔顺延到期时间，
+     * 不增加间隔、成功次数和难度系数，避免一次长时间练习把间隔连续放大
+     * @param {Object} card - 字根数据对象
+     * @param {number} quality - 评分（0-5）
+     * @param {number} now - 当前时间戳
+     */
+    review(card, quality, now = Date.now()) {
+        const early = card.interval > 0 && card.due !== null && now < card.due;
+        if (early && quality >= 3) {
+            card.due = now + card.interval * DAY_MS;
+            return;
+        }
+
+        if (quality < 3) {
+            // 遗忘：重新开始，短时间后再次出现
+            card.reps = 0;
+            card.interval = 0;
+            card.lapses++;
+            card.due = now + RELEARN_DELAY_MS;
+        } else {
+            card.reps++;
+            if (card.reps === 1) {
+                card.interval = 1;
+            } else if (card.reps === 2) {
+                card.interval = 6;
+            } else {
+                card.interval = Math.round(card.interval * card.ease);
+            }
+            card.due = now + card.interval * DAY_MS;
+        }
+
+        const penalty = 5 - quality;
+        card.ease = Math.max(MIN_EASE, card.ease + 0.1 - penalty * (0.08 + penalty * 0.02));
+    }
+
+    /**
+     * 判断字根在某时间点是否到期
+     * @param {Object} card - 字根数据对象
+     * @param {number} time - 时间戳
+     */
+    isDue(card, time) {
+        return card.due !== null && card.due <= time;
+    }
+
+    /**
+     * 获取今天之内到期的字根（按到期时间排序）
+     * @param {Array} list - 字根列表
+     * @param {Object} dataMap - 字根ID -> 字根数据
+     * @param {number} now - 当前时间戳
+     */
+    getDueToday(list, dataMap, now = Date.now()) {
+        const endOfToday = new Date(now);
+        endOfToday.setHours(23, 59, 59, 999);
+
+        return list
+            .filter(r => this.isDue(dataMap[r.id], endOfToday.getTime()))
+            .sort((a, b) => dataMap[a.id].due - dataMap[b.id].due);
+    }
+
+    /**
+     * 选择下一个字根
+     * 已到期的字根（最早到期优先）> 新字根 > 提前复习最早到期的字根（答对不增加间隔，见 review）
+     * @param {Array} list - 字根列表
+     * @param {Object} dataMap - 字根ID -> 字根数据
+     * @param {number} now - 当前时间戳
+     * @param {string} [lastId] - 上一个字根ID（尽量避免连续重复）
+     */
+    pickNext(list, dataMap, now = Date.now(), lastId = null) {
+        const pool = list.length > 1 ? list.filter(r => r.id !== lastId) : list;
+        if (pool.length === 0) return null;
+
+        const due = pool
+            .filter(r => this.isDue(dataMap[r.id], now))
+            .sort((a, b) => dataMap[a.id].due - dataMap[b.id].due);
+        if (due.length > 0) {
+            return due[0];
+        }
+
+        const fresh = pool.filter(r => dataMap[r.id].due === null);
+        if (fresh.length > 0) {
+            return fresh[Math.floor(Math.random() * fresh.length)];
+        }
+
+        return pool.reduce((earliest, r) =>
+            dataMap[r.id].due < dataMap[earliest.id].due ? r : earliest
+        );
+    }
+}
+
+// 导出（全局变量方式）
+window.SpacedScheduler = SpacedScheduler;
+window.DAY_MS = DAY_MS;
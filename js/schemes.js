@@ -0,0 +1,226 @@
+/**
+ * 首右plus 字根方案模块
+ * 方案定义集中描述按键、字根、显示颜色和笔画别名，
+ * 字根列表、字根图和练习字根池都由启动时加载的方案生成
+ * 除内置方案外，启动时还会注册通过 StorageManager 保存的自定义方案
+ *
+ * 方案定义格式：
+ * {
+ *     id: 'shouyou-plus',                 // 唯一标识
+ *     name: '首右plus',                    // 显示名称
+ *     rows: ['QWERTYUIOP', ...],          // 字根图的键盘行
+ *     strokes: { '撇': '丿', ... },        // 笔画别名 -> 笔画字形
+ *     keys: {
+ *         Q: [{ char: '火', color: 'blue' }, '龶'],  // 字根可写成字符串或带颜色的对象
+ *         ...
+ *     }
+ * }
+ * 颜色可以是 SCHEME_COLORS 中的名称，也可以是 #RRGGBB 形式的色值
+ */
+
+// 默认方案
+const DEFAULT_SCHEME_ID = 'shouyou-plus';
+
+// 字根显示颜色名称 -> 字根图样式类
+const SCHEME_COLORS = {
+    default: '',
+    blue: 'key-radicals-blue',
+    stroke: 'key-radicals-special'
+};
+
+// 内置方案：首右plus
+const SHOUYOU_PLUS_SCHEME = {
+    id: 'shouyou-plus',
+    name: '首右plus',
+    rows: ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'],
+    strokes: {
+        '撇': '丿',
+        '竖': '丨',
+        '点': '丶',
+        '横': '一',
+        '折': '乛'
+    },
+    keys: {
+        Q: [{ char: '火', color: 'blue' }, '龶'],
+        W: ['王', '亠', '攵'],
+        E: ['禾', '阝'],
+        R: ['亻', '彳'],
+        T: ['土', '田'],
+        Y: ['月', '又', '雨'],
+        U: ['氵'],
+        I: ['纟', '厶'],
+        O: ['虫', { char: '刂', color: 'blue' }],
+        P: ['撇'],
+        A: ['讠'],
+        S: ['竖', '饣', '石', '尸'],
+        D: ['点', { char: '目', color: 'blue' }],
+        F: ['扌', { char: '十', color: 'blue' }],
+        G: [{ char: '竹', color: 'blue' }, { char: '辶', color: 'blue' }, { char: '山', color: 'blue' }, '弓'],
+        H: ['横'],
+        J: ['钅', '几', '巾'],
+        K: ['口'],
+        L: [{ char: '日', color: 'blue' }, { char: '⺈', color: 'blue' }, '力', { char: '大', color: 'blue' }],
+        Z: ['⻊', '子', { char: '西', color: 'blue' }, { char: '疒', color: 'blue' }],
+        X: ['忄', '小', '彐', { char: '广', color: 'blue' }],
+        C: ['艹', '车', '乂', '寸'],
+        V: ['折', '舟'],
+        B: ['宀', '贝', '勹', '八', { char: '犭', color: 'blue' }],
+        N: ['女', '鸟'],
+        M: ['木', '门']
+    }
+};
+
+// 已注册的方案：方案ID -> 方案定义
+const SCHEMES = {};
+
+/**
+ * 把字根条目统一为 { char, color } 对象
+ * @param {string|Object} entry - 字根条目
+ */
+function normalizeRadicalEntry(entry) {
+    if (typeof entry === 'string') {
+        return { char: entry, color: 'default' };
+    }
+    return { char: entry.char, color: entry.color || 'default' };
+}
+
+/**
+ * 校验方案定义
+ * @param {Object} scheme - 方案定义
+ * @returns {Array<string>} 错误信息列表，为空表示合法
+ */
+function validateScheme(scheme) {
+    const errors = [];
+
+    if (!scheme || typeof scheme !== 'object') {
+        return ['方案定义必须是对象'];
+    }
+    if (!scheme.id || typeof scheme.id !== 'string') {
+        errors.push('缺少方案ID');
+    }
+    if (!scheme.name || typeof scheme.name !== 'string') {
+        errors.push('缺少方案名称');
+    }
+    if (!scheme.keys || typeof scheme.keys !== 'object') {
+        errors.push('缺少按键定义');
+        return errors;
+    }
+
+    const owners = {};
+    for (const [key, entries] of Object.entries(scheme.keys)) {
+        if (!/^[A-Z]$/.test(key)) {
+            errors.push(`按键「${key}」必须是单个大写字母`);
+            continue;
+        }
+        if (!Array.isArray(entries) || entries.length === 0) {
+            errors.push(`按键 ${key} 没有字根`);
+            continue;
+        }
+        for (const entry of entries) {
+            const { char, color } = normalizeRadicalEntry(entry);
+            if (!char) {
+                errors.push(`按键 ${key} 含有空字根`);
+                continue;
+            }
+            if (!(color in SCHEME_COLORS) && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+                errors.push(`字根「${char}」的颜色「${color}」无效`);
+            }
+            if (owners[char]) {
+                errors.push(`字根「${char}」同时出现在 ${owners[char]} 和 ${key}`);
+            } else {
+                owners[char] = key;
+            }
+        }
+    }
+
+    if (scheme.rows) {
+        const rowKeys = scheme.rows.join('');
+        for (const key of Object.keys(scheme.keys)) {
+            if (!rowKeys.includes(key)) {
+                errors.push(`按键 ${key} 不在键盘行中`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 注册方案，定义不合法时抛出错误
+ * @param {Object} scheme - 方案定义
+ */
+function registerScheme(scheme) {
+    const errors = validateScheme(scheme);
+    if (errors.length > 0) {
+        throw new Error(`方案「${scheme?.name || scheme?.id}」无效：${errors.join('；')}`);
+    }
+    SCHEMES[scheme.id] = {
+        rows: SHOUYOU_PLUS_SCHEME.rows,
+        strokes: {},
+        ...scheme
+    };
+    return SCHEMES[scheme.id];
+}
+
+/**
+ * 获取已注册的方案列表
+ */
+function getSchemeList() {
+    return Object.values(SCHEMES);
+}
+
+/**
+ * 获取当前方案ID（未设置或方案不存在时使用默认方案）
+ */
+function getActiveSchemeId() {
+    const id = new StorageManager().getActiveSchemeId();
+    return id && SCHEMES[id] ? id : DEFAULT_SCHEME_ID;
+}
+
+/**
+ * 记录当前方案ID（下次启动时生效）
+ * @param {string} id - 方案ID
+ */
+function setActiveSchemeId(id) {
+    return new StorageManager().setActiveSchemeId(id);
+}
+
+/**
+ * 注册已保存的自定义方案，跳过无法通过校验的方案
+ */
+function registerCustomSchemes() {
+    for (const scheme of new StorageManager().loadCustomSchemes()) {
+        try {
+            registerScheme(scheme);
+        } catch (e) {
+            console.warn(e.message);
+        }
+    }
+}
+
+/**
+ * 由方案生成 按键 -> 字根数组
+ * @param {Object} scheme - 方案定义
+ */
+function buildRadicalMap(scheme) {
+    const map = {};
+    for (const [key, entries] of Object.entries(scheme.keys)) {
+        map[key] = entries.map(entry => normalizeRadicalEntry(entry).char);
+    }
+    return map;
+}
+
+registerScheme(SHOUYOU_PLUS_SCHEME);
+registerCustomSchemes();
+
+// 启动时加载的方案
+const ACTIVE_SCHEME = SCHEMES[getActiveSchemeId()];
+
+// 导出（全局变量方式）
+window.ACTIVE_SCHEME = ACTIVE_SCHEME;
+window.SCHEME_COLORS = SCHEME_COLORS;
+window.registerScheme = registerScheme;
+window.validateScheme = validateScheme;
+window.getSchemeList = getSchemeList;
+window.setActiveSchemeId = setActiveSchemeId;
+window.normalizeRadicalEntry = normalizeRadicalEntry;
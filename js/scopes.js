@@ -0,0 +1,131 @@
+/**
+ * 首右plus 练习范围模块
+ * 练习范围把出题字根池限定为部分按键或字根，便于分段练习（如只练中排、左手或笔画键）
+ *
+ * 范围设置格式：
+ * { id: 'row-1' }                      // 预设范围，见 PRACTICE_SCOPES
+ * { id: 'custom', text: 'ASDF 氵扌' }  // 自定义范围：英文字母表示按键，其余字符表示字根
+ */
+
+// 全部字根的范围ID
+const DEFAULT_SCOPE_ID = 'all';
+
+// 自定义范围的ID
+const CUSTOM_SCOPE_ID = 'custom';
+
+// 键盘行的显示名称（按方案 rows 的顺序）
+const SCOPE_ROW_NAMES = ['上排', '中排', '下排'];
+
+// 左右手负责的按键（标准指法）
+const HAND_KEYS = {
+    left: 'QWERTASDFGZXCVB',
+    right: 'YUIOPHJKLNM'
+};
+
+// 自定义范围中用来分隔按键和字根的字符
+const SCOPE_SEPARATOR_PATTERN = /[\s,，、;；]/;
+
+/**
+ * 由方案生成预设练习范围
+ * 键盘行来自方案定义，笔画键为含笔画别名的按键；没有任何按键的范围会被略去
+ * @param {Object} scheme - 方案定义
+ * @returns {Object} 范围ID -> { name, keys }
+ */
+function buildPracticeScopes(scheme) {
+    const schemeKeys = Object.keys(scheme.keys);
+    const pick = keys => [...keys].filter(key => scheme.keys[key]);
+
+    const candidates = {
+        [DEFAULT_SCOPE_ID]: { name: '全部字根', keys: schemeKeys }
+    };
+    scheme.rows.forEach((row, index) => {
+        const rowName = SCOPE_ROW_NAMES[index] || `第 ${index + 1} 排`;
+        candidates[`row-${index}`] = { name: `${rowName}（${row}）`, keys: pick(row) };
+    });
+    candidates.left = { name: '左手', keys: pick(HAND_KEYS.left) };
+    candidates.right = { name: '右手', keys: pick(HAND_KEYS.right) };
+    candidates.strokes = {
+        name: '笔画键',
+        keys: schemeKeys.filter(key => scheme.keys[key].some(entry => scheme.strokes[normalizeRadicalEntry(entry).char]))
+    };
+
+    const scopes = {};
+    for (const [id, scope] of Object.entries(candidates)) {
+        if (scope.keys.length > 0) {
+            scopes[id] = scope;
+        }
+    }
+    return scopes;
+}
+
+/**
+ * 解析自定义范围文本
+ * 英文字母表示按键（不区分大小写），其余字符按字根匹配
+ * @param {string} text - 自定义范围文本
+ * @returns {Object} { keys, chars, unknown }，unknown 为当前方案中不存在的按键或字根
+ */
+function parseScopeText(text) {
+    const keys = [];
+    const chars = [];
+    const unknown = [];
+
+    for (const char of String(text || '')) {
+        if (SCOPE_SEPARATOR_PATTERN.test(char)) continue;
+
+        if (/^[A-Za-z]$/.test(char)) {
+            const key = char.toUpperCase();
+            if (!RADICAL_MAP[key]) {
+                unknown.push(key);
+            } else if (!keys.includes(key)) {
+                keys.push(key);
+            }
+        } else if (!RADICAL_LIST.some(r => r.char === char)) {
+            unknown.push(char);
+        } else if (!chars.includes(char)) {
+            chars.push(char);
+        }
+    }
+
+    return { keys, chars, unknown };
+}
+
+/**
+ * 获取练习范围内的字根
+ * 未知的预设范围按全部字根处理
+ * @param {Object} scope - 范围设置
+ * @returns {Array} 字根对象列表（保持 RADICAL_LIST 的顺序）
+ */
+function resolveScopeRadicals(scope) {
+    if (scope?.id === CUSTOM_SCOPE_ID) {
+        const { keys, chars } = parseScopeText(scope.text);
+        return RADICAL_LIST.filter(r => keys.includes(r.key) || chars.includes(r.char));
+    }
+
+    const preset = PRACTICE_SCOPES[scope?.id];
+    if (!preset || scope.id === DEFAULT_SCOPE_ID) {
+        return RADICAL_LIST;
+    }
+    return RADICAL_LIST.filter(r => preset.keys.includes(r.key));
+}
+
+/**
+ * 获取练习范围的显示名称
+ * @param {Object} scope - 范围设置
+ */
+function getScopeName(scope) {
+    if (scope?.id === CUSTOM_SCOPE_ID) {
+        return `自定义（${scope.text}）`;
+    }
+    return (PRACTICE_SCOPES[scope?.id] || PRACTICE_SCOPES[DEFAULT_SCOPE_ID]).name;
+}
+
+// 当前方案的预设练习范围
+const PRACTICE_SCOPES = buildPracticeScopes(ACTIVE_SCHEME);
+
+// 导出（全局变量方式）
+window.PRACTICE_SCOPES = PRACTICE_SCOPES;
+window.DEFAULT_SCOPE_ID = DEFAULT_SCOPE_ID;
+window.CUSTOM_SCOPE_ID = CUSTOM_SCOPE_ID;
+window.parseScopeText = parseScopeText;
+window.resolveScopeRadicals = resolveScopeRadicals;
+window.getScopeName = getScopeName;
@@ -0,0 +1,166 @@
+/**
+ * 首右plus 练习会话模块
+ * 连续练习记为一次会话，记录起止时间、作答次数、正确率、平均反应时间和新学字根数，
+ * 历史会话保存在存储中，可按天汇总查看练习趋势
+ */
+
+// 两次作答间隔超过该时长（毫秒）即开始新的会话
+const SESSION_IDLE_MS = 5 * 60 * 1000;
+
+// 最多保留的历史会话数（滚动丢弃最旧的会话）
+const SESSION_HISTORY_LIMIT = 1000;
+
+/**
+ * 练习会话管理器类
+ * 会话不需要显式结束：最后一个会话在空闲超时前仍可继续累计
+ */
+class SessionManager {
+    constructor() {
+        // 历史会话，按开始时间排列，最后一个可能仍在进行中
+        this.sessions = [];
+    }
+
+    /**
+     * 新会话的默认数据
+     * @param {number} now - 开始时间（毫秒时间戳）
+     */
+    createSession(now) {
+        return {
+            start: now,        // 开始时间
+            end: now,          // 最后一次作答时间
+            attempts: 0,       // 作答次数
+            correct: 0,        // 答对次数
+            latencyTotal: 0,   // 计时作答的反应时间总和（毫秒）
+            latencyCount: 0,   // 计时作答次数
+            introduced: 0      // 本次会话新学的字根数
+        };
+    }
+
+    /**
+     * 获取当前会话；超过空闲时长或还没有会话时开始新会话
+     * @param {number} now - 当前时间戳
+     */
+    getCurrentSession(now = Date.now()) {
+        const last = this.sessions[this.sessions.length - 1];
+        if (last && now - last.end < SESSION_IDLE_MS) {
+            return last;
+        }
+
+        const session = this.createSession(now);
+        this.sessions.push(session);
+        if (this.sessions.length > SESSION_HISTORY_LIMIT) {
+            this.sessions.splice(0, this.sessions.length - SESSION_HISTORY_LIMIT);
+        }
+        return session;
+    }
+
+    /**
+     * 记录一组作答
+     * @param {Object} result - { attempts, correct, responseMs, introduced }
+     */
+    record({ attempts = 1, correct = 0, responseMs, introduced = 0 }) {
+        const now = Date.now();
+        const session = this.getCurrentSession(now);
+
+        session.end = now;
+        session.attempts += attempts;
+        session.correct += correct;
+        session.introduced += introduced;
+        if (typeof responseMs === 'number') {
+            session.latencyTotal += responseMs;
+            session.latencyCount++;
+        }
+    }
+
+    /**
+     * 获取历史会话（含进行中的会话）
+     */
+    getHistory() {
+        return this.sessions.map(session => ({
+            ...session,
+            duration: session.end - session.start,
+            accuracy: session.attempts > 0 ? session.correct / session.attempts : null,
+            avgLatency: session.latencyCount > 0 ? session.latencyTotal / session.latencyCount : null
+        }));
+    }
+
+    /**
+     * 按本地日期汇总会话，最近的日期在前
+     * @param {number} [days] - 最多返回的天数
+     * @returns {Array} [{ date, sessions, duration, attempts, correct, accuracy, avgLatency, introduced }]
+     */
+    getDailySummaries(days = 14) {
+        const byDate = {};
+
+        for (const session of this.sessions) {
+            const date = this.formatDate(session.start);
+            const day = byDate[date] || (byDate[date] = {
+                date,
+                sessions: 0,
+                duration: 0,
+                attempts: 0,
+                correct: 0,
+                latencyTotal: 0,
+                latencyCount: 0,
+                introduced: 0
+            });
+            day.sessions++;
+            day.duration += session.end - session.start;
+            day.attempts += session.attempts;
+            day.correct += session.correct;
+            day.latencyTotal += session.latencyTotal;
+            day.latencyCount += session.latencyCount;
+            day.introduced += session.introduced;
+        }
+
+        return Object.values(byDate)
+            .sort((a, b) => (a.date < b.date ? 1 : -1))
+            .slice(0, days)
+            .map(({ latencyTotal, latencyCount, ...day }) => ({
+                ...day,
+                accuracy: day.attempts > 0 ? day.correct / day.attempts : null,
+                avgLatency: latencyCount > 0 ? latencyTotal / latencyCount : null
+            }));
+    }
+
+    /**
+     * 时间戳 -> 本地日期字符串（YYYY-MM-DD）
+     * @param {number} timestamp - 毫秒时间戳
+     */
+    formatDate(timestamp) {
+        const d = new Date(timestamp);
+        const pad = n => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    /**
+     * 清空所有会话
+     */
+    reset() {
+        this.sessions = [];
+    }
+
+    /**
+     * 从存储恢复会话，跳过格式不正确的记录
+     * @param {Array} sessions - 保存的会话数组
+     */
+    restore(sessions) {
+        if (!Array.isArray(sessions)) return;
+
+        this.sessions = sessions
+            .filter(s => s && typeof s.start === 'number' && typeof s.end === 'number')
+            .map(s => ({ ...this.createSession(s.start), ...s }))
+            .slice(-SESSION_HISTORY_LIMIT);
+    }
+
+    /**
+     * 获取会话数据（用于存储）
+     */
+    getData() {
+        return this.sessions.map(session => ({ ...session }));
+    }
+}
+
+// 导出（全局变量方式）
+window.SessionManager = SessionManager;
+window.SESSION_IDLE_MS = SESSION_IDLE_MS;
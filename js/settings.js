@@ -0,0 +1,136 @@
+/**
+ * 首右plus 练习设置模块
+ * 过渡延迟、候选池大小、连击提示间隔、答错后的处理等练习行为的设置
+ * 设置随练习数据保存在 settings.practice 中，缺少或无效的项使用默认值
+ */
+
+// 设置项定义：名称 -> { label, hint, type, default, min, max, step, unit }
+// type 为 number 时取值限制在 [min, max] 并取整，为 boolean 时只接受布尔值
+const PRACTICE_SETTING_FIELDS = {
+    advanceDelay: {
+        label: '答对后进入下一题的延迟',
+        type: 'number',
+        default: 200,
+        min: 0,
+        max: 2000,
+        step: 50,
+        unit: '毫秒'
+    },
+    candidatePool: {
+        label: '出题候选池大小',
+        hint: '智能优先级算法从优先级最高的前几个字根中随机出题，越小越集中练习薄弱字根',
+        type: 'number',
+        default: 5,
+        min: 1,
+        max: 20,
+        step: 1,
+        unit: '个'
+    },
+    comboInterval: {
+        label: '连击提示间隔',
+        hint: '每连续答对这么多次显示一次连击提示，0 为不提示',
+        type: 'number',
+        default: 5,
+        min: 0,
+        max: 50,
+        step: 1,
+        unit: '次'
+    },
+    autoAdvanceWrong: {
+        label: '答错后自动进入下一题',
+        hint: '关闭时答错后必须输入正确按键才能继续',
+        type: 'boolean',
+        default: false
+    },
+    wrongAdvanceDelay: {
+        label: '答错后进入下一题的延迟',
+        hint: '留出看正确答案的时间',
+        type: 'number',
+        default: 1500,
+        min: 300,
+        max: 5000,
+        step: 100,
+        unit: '毫秒'
+    },
+    strictMode: {
+        label: '严格模式',
+        hint: '按空格看答案记为答错，连击清零',
+        type: 'boolean',
+        default: false
+    }
+};
+
+class PracticeSettings {
+    constructor() {
+        this.values = this.normalize({});
+    }
+
+    /**
+     * 读取设置项
+     * @param {string} name - 设置项名称
+     */
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * 修改设置项
+     * @param {string} name - 设置项名称
+     * @param {*} value - 新值（数字设置项可以是数字字符串）
+     * @returns {*} 校正后实际保存的值
+     */
+    set(name, value) {
+        if (!PRACTICE_SETTING_FIELDS[name]) return undefined;
+
+        this.values = this.normalize({ ...this.values, [name]: value });
+        return this.values[name];
+    }
+
+    /**
+     * 校正设置：缺少或无效的项使用默认值，数字限制在允许范围内
+     * @param {Object} data - 设置
+     */
+    normalize(data) {
+        const values = {};
+        const source = data && typeof data === 'object' ? data : {};
+
+        for (const [name, field] of Object.entries(PRACTICE_SETTING_FIELDS)) {
+            const value = source[name];
+            if (field.type === 'boolean') {
+                values[name] = typeof value === 'boolean' ? value : field.default;
+            } else {
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                values[name] = Number.isFinite(number)
+                    ? Math.min(field.max, Math.max(field.min, Math.round(number)))
+                    : field.default;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * 恢复全部默认设置
+     */
+    reset() {
+        this.values = this.normalize({});
+    }
+
+    /**
+     * 从存储恢复设置
+     * @param {Object} data - 设置
+     */
+    restore(data) {
+        this.values = this.normalize(data);
+    }
+
+    /**
+     * 获取设置（用于存储）
+     */
+    getData() {
+        return { ...this.values };
+    }
+}
+
+// 导出（全局变量方式）
+window.PRACTICE_SETTING_FIELDS = PRACTICE_SETTING_FIELDS;
+window.PracticeSettings = PracticeSettings;
@@ -0,0 +1,165 @@
+/**
+ * 首右plus 存储后端模块
+ * StorageManager 通过适配器读写练习进度，适配器统一为异步的键值接口：
+ *
+ *     await adapter.open();
+ *     await adapter.read(key);          // 不存在时返回 null
+ *     await adapter.write(key, value);  // value 为可 JSON 序列化的对象
+ *     await adapter.remove(key);
+ *
+ * 内置三种实现：IndexedDB（优先）、LocalStorage、内存（前两者都不可用时使用，刷新即丢失）
+ */
+
+// IndexedDB 数据库名、版本和对象仓库名
+const IDB_NAME = 'shouyou_plus';
+const IDB_VERSION = 1;
+const IDB_STORE = 'kv';
+
+/**
+ * LocalStorage 适配器：值以 JSON 字符串保存
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+
+    /**
+     * 检查 LocalStorage 是否可用（隐私模式下可能抛出异常）
+     */
+    static isAvailable() {
+        try {
+            const probe = '__shouyou_plus_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async open() {}
+
+    async read(key) {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async write(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * IndexedDB 适配器：值以结构化克隆保存在单个对象仓库中，键即存储键
+ */
+class IndexedDBAdapter {
+    constructor() {
+        this.name = 'indexedDB';
+        this.db = null;
+    }
+
+    /**
+     * 检查浏览器是否支持 IndexedDB
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(IDB_STORE);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB 被其他页面占用'));
+        });
+    }
+
+    /**
+     * 在一个事务中执行请求，事务完成后返回请求结果
+     * @param {string} mode - readonly / readwrite
+     * @param {Function} makeRequest - (store) => IDBRequest
+     */
+    transaction(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(IDB_STORE, mode);
+            const request = makeRequest(tx.objectStore(IDB_STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务已中止'));
+        });
+    }
+
+    async read(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    write(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * 内存适配器：不持久化，用于存储不可用的环境；值以 JSON 保存，避免与调用方共享引用
+ */
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    async open() {}
+
+    async read(key) {
+        return this.entries.has(key) ? JSON.parse(this.entries.get(key)) : null;
+    }
+
+    async write(key, value) {
+        this.entries.set(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * 按 IndexedDB > LocalStorage > 内存 的顺序创建第一个可用的适配器
+ * @returns {Promise<Object>} 已打开的适配器
+ */
+async function createStorageAdapter() {
+    if (IndexedDBAdapter.isAvailable()) {
+        const adapter = new IndexedDBAdapter();
+        try {
+            await adapter.open();
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB 不可用，改用 LocalStorage:', error);
+        }
+    }
+    if (LocalStorageAdapter.isAvailable()) {
+        return new LocalStorageAdapter();
+    }
+    console.warn('本地存储不可用，进度仅保存在内存中');
+    return new MemoryAdapter();
+}
+
+// 导出（全局变量方式）
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.MemoryAdapter = MemoryAdapter;
+window.createStorageAdapter = createStorageAdapter;
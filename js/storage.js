@@ -1,16 +1,191 @@
 /**
  * 首右plus 本地存储模块
- * 使用 LocalStorage 保存练习进度和统计数据
+ * 练习进度通过存储适配器（见 storage-adapters.js）保存，启动时读入内存，
+ * 之后的读取都走内存副本，写入合并后延迟批量落盘；
+ * 用户列表、界面偏好、方案等小配置仍直接保存在 LocalStorage 中，启动时同步读取
+ *
+ * 多用户：每个用户的进度、偏好和当前方案保存在各自带后缀的键中（如 shouyou_plus_practice:p-xxx），
+ * 默认用户沿用不带后缀的键，兼容旧数据；自定义方案库为所有用户共享
  */
 
 const STORAGE_KEY = 'shouyou_plus_practice';
 
+// 存储键的公共前缀（用户偏好的键为 前缀 + 偏好名）
+const STORAGE_PREFIX = 'shouyou_plus_';
+
+// 用户列表及当前用户的存储键
+const PROFILES_KEY = 'shouyou_plus_profiles';
+
+// 默认用户
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = '默认用户';
+
+// 用户名最大长度
+const PROFILE_NAME_MAX_LENGTH = 20;
+
+// 当前字根方案ID的存储键
+const SCHEME_STORAGE_KEY = 'shouyou_plus_scheme';
+
+// 导入的自定义字根方案的存储键
+const CUSTOM_SCHEMES_KEY = 'shouyou_plus_custom_schemes';
+
+// 当前数据结构版本
+const STORAGE_VERSION = 2;
+
+// 写入合并的延迟（毫秒）：这段时间内的多次保存只落盘一次
+const SAVE_DEBOUNCE_MS = 1000;
+
+// 读取进度失败时的尝试次数和重试间隔（毫秒），应对偶发的读取错误
+const READ_ATTEMPTS = 3;
+const READ_RETRY_DELAY_MS = 300;
+
+/**
+ * 数据迁移表：MIGRATIONS[n] 把版本 n 的数据升级到 n + 1
+ */
+const MIGRATIONS = {
+    /**
+     * v1 -> v2
+     * - weights 改名为 radicals，旧的纯数字权重转为完整对象
+     * - 补充 practiceCounter（v1 未保存，取各字根 lastPracticed 的最大值，
+     *   保证间隔重复的计数基准与已存的 lastPracticed 对齐）
+     * - 新增 lastPracticedAt（墙钟时间），已练习字根以 lastPracticeTime 近似
+     * - 新增尝试记录 attemptLog
+     */
+    1(data) {
+        const radicals = {};
+        const practiced = new Set(data.practicedRadicals || []);
+        const lastTime = data.lastPracticeTime ? Date.parse(data.lastPracticeTime) : NaN;
+        let practiceCounter = 0;
+
+        for (const [id, value] of Object.entries(data.weights || {})) {
+            const radical = typeof value === 'number' ? { weight: value } : { ...value };
+            if (typeof radical.lastPracticed === 'number') {
+                practiceCounter = Math.max(practiceCounter, radical.lastPracticed);
+            }
+            if (radical.lastPracticedAt === undefined) {
+                radical.lastPracticedAt = practiced.has(id) && !Number.isNaN(lastTime) ? lastTime : null;
+            }
+            radicals[id] = radical;
+        }
+
+        const migrated = { ...data, radicals, practiceCounter, attemptLog: [], version: 2 };
+        delete migrated.weights;
+        return migrated;
+    }
+};
+
 /**
  * 存储管理器类
  */
 class StorageManager {
-    constructor() {
-        this.storageKey = STORAGE_KEY;
+    /**
+     * @param {Object} [options] - { adapter }，不指定时由 open() 选择可用的适配器
+     */
+    constructor({ adapter = null } = {}) {
+        // 当前用户，决定所有按用户区分的存储键
+        this.profileId = this.getActiveProfileId();
+        this.storageKey = this.getProfileKey(STORAGE_KEY);
+        
+        // 存储适配器及内存中的进度副本（open() 之后可用）
+        this.adapter = adapter;
+        this.data = null;
+        this.hasStoredData = false;
+        
+        // 进度读取或迁移失败：这时内存中只有默认数据，不能写回存储覆盖读不出来的进度
+        this.loadFailed = false;
+        
+        // 延迟写入的定时器和写入队列（保证按顺序落盘）
+        this.saveTimer = null;
+        this.writeQueue = Promise.resolve();
+    }
+    
+    /**
+     * 打开存储并把进度读入内存
+     * 适配器不是 LocalStorage 时，会把旧版保存在 LocalStorage 中的进度一次性迁移过去
+     * 读取重试后仍失败、或数据无法迁移时，使用默认数据继续练习，但本次不再写入存储（见 hasLoadFailed）
+     */
+    async open() {
+        if (!this.adapter) {
+            this.adapter = await createStorageAdapter();
+        } else {
+            await this.adapter.open();
+        }
+        
+        let stored;
+        try {
+            stored = await this.readWithRetry();
+        } catch (error) {
+            console.error('加载存储数据失败，本次练习不会保存:', error);
+            this.loadFailed = true;
+            this.data = this.getDefaultData();
+            return this;
+        }
+        
+        this.hasStoredData = stored !== null;
+        try {
+            this.data = stored ? this.mergeWithDefaults(this.migrate(stored)) : this.getDefaultData();
+        } catch (error) {
+            console.error('迁移存储数据失败，本次练习不会保存:', error);
+            this.loadFailed = true;
+            this.data = this.getDefaultData();
+        }
+        return this;
+    }
+    
+    /**
+     * 读取当前用户的进度，失败时间隔 READ_RETRY_DELAY_MS 重试，共尝试 READ_ATTEMPTS 次
+     * @returns {Promise<Object|null>} 存储的数据，没有数据时为 null
+     */
+    async readWithRetry() {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const stored = await this.adapter.read(this.storageKey);
+                if (!stored && this.adapter.name !== 'localStorage') {
+                    return await this.migrateFromLocalStorage();
+                }
+                return stored || null;
+            } catch (error) {
+                if (attempt >= READ_ATTEMPTS) throw error;
+                console.warn(`读取存储数据失败，第 ${attempt} 次重试:`, error);
+                await new Promise(resolve => setTimeout(resolve, READ_RETRY_DELAY_MS));
+            }
+        }
+    }
+    
+    /**
+     * 进度是否读取失败（失败时保存只更新内存，不会落盘）
+     */
+    hasLoadFailed() {
+        return this.loadFailed;
+    }
+    
+    /**
+     * 把 LocalStorage 中的旧进度写入当前适配器，写入成功后删除旧键
+     * @returns {Promise<Object|null>} 迁移的数据，没有旧数据时为 null
+     */
+    async migrateFromLocalStorage() {
+        let legacy = null;
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            legacy = stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('读取旧版存储数据失败:', error);
+        }
+        if (!legacy) return null;
+        
+        await this.adapter.write(this.storageKey, legacy);
+        localStorage.removeItem(this.storageKey);
+        console.info(`已把练习进度从 LocalStorage 迁移到 ${this.adapter.name}`);
+        return legacy;
+    }
+    
+    /**
+     * 按用户区分的存储键（默认用户不加后缀）
+     * @param {string} baseKey - 基础键名
+     * @param {string} [profileId] - 用户ID，默认为当前用户
+     */
+    getProfileKey(baseKey, profileId = this.profileId) {
+        return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
     }
     
     /**
@@ -27,47 +202,101 @@ class StorageManager {
                 maxCombo: 0,           // 最高连击
                 practicedCount: 0,     // 已练习字根数
             },
-            // 字根权重数据
-            weights: {},
+            // 字根学习数据（权重、熟练度、练习时间等）
+            radicals: {},
             // 已练习的字根ID列表
             practicedRadicals: [],
+            // 练习计数器（间隔重复的计数基准）
+            practiceCounter: 0,
+            // 最近的尝试记录（滚动保留）
+            attemptLog: [],
+            // 整字练习数据
+            characters: {
+                data: {},
+                practiced: []
+            },
+            // 练习会话历史
+            sessions: [],
+            // 限时挑战排行榜：方案|模式|时长[|出题范围] -> 成绩列表
+            leaderboard: {},
+            // 自定义字根提示：字根 -> 助记文字
+            hints: {},
+            // 练习设置
+            settings: {
+                algorithm: 'priority',  // 出题算法：priority / sm2
+                scope: { id: 'all' },   // 练习范围（见 scopes.js）
+                theme: 'auto',          // 配色主题（见 themes.js）
+                motion: 'auto',         // 动画设置（见 themes.js）
+                // 声音设置（见 audio.js）
+                audio: { sound: false, speech: false, volume: 0.6, voice: '' },
+                // 练习行为设置（见 settings.js，缺少的项使用默认值）
+                practice: {}
+            },
             // 最后练习时间
             lastPracticeTime: null,
             // 版本号（用于数据迁移）
-            version: 1
+            version: STORAGE_VERSION
         };
     }
     
     /**
-     * 从 LocalStorage 加载数据
+     * 获取内存中的进度数据（已迁移并补全默认值）
      */
     load() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                const data = JSON.parse(stored);
-                // 合并默认值，确保数据完整性
-                return this.mergeWithDefaults(data);
-            }
-        } catch (error) {
-            console.warn('加载存储数据失败:', error);
+        if (!this.data) {
+            console.warn('存储尚未打开，返回默认数据');
+            return this.getDefaultData();
         }
-        return this.getDefaultData();
+        return this.data;
     }
     
     /**
-     * 保存数据到 LocalStorage
+     * 保存数据：立即更新内存副本，延迟 SAVE_DEBOUNCE_MS 后落盘
      * @param {Object} data - 要保存的数据
      */
     save(data) {
-        try {
-            data.lastPracticeTime = new Date().toISOString();
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
-            return true;
-        } catch (error) {
-            console.error('保存数据失败:', error);
-            return false;
+        data.lastPracticeTime = new Date().toISOString();
+        this.data = data;
+        
+        // 读取失败时存储里可能还有完好的进度，不能用内存中的数据覆盖
+        if (this.loadFailed) return false;
+        
+        this.hasStoredData = true;
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
         }
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DEBOUNCE_MS);
+        return true;
+    }
+    
+    /**
+     * 立即把尚未落盘的数据写入存储（页面隐藏或关闭前调用）
+     * @returns {Promise<boolean>} 是否写入成功
+     */
+    flush() {
+        if (!this.saveTimer) return this.writeQueue.then(() => true, () => false);
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        return this.enqueue(adapter => adapter.write(this.storageKey, this.data), '保存数据失败:');
+    }
+    
+    /**
+     * 把一次存储操作排入写入队列
+     * @param {Function} operation - (adapter) => Promise
+     * @param {string} errorMessage - 失败时输出的日志前缀
+     * @returns {Promise<boolean>} 是否成功
+     */
+    enqueue(operation, errorMessage) {
+        const result = this.writeQueue.then(() => operation(this.adapter)).then(
+            () => true,
+            (error) => {
+                console.error(errorMessage, error);
+                return false;
+            }
+        );
+        this.writeQueue = result;
+        return result;
     }
     
     /**
@@ -81,12 +310,12 @@ class StorageManager {
     }
     
     /**
-     * 更新字根权重
-     * @param {Object} weights - 权重数据对象
+     * 更新字根学习数据
+     * @param {Object} radicals - 字根学习数据对象
      */
-    updateWeights(weights) {
+    updateWeights(radicals) {
         const data = this.load();
-        data.weights = weights;
+        data.radicals = radicals;
         return this.save(data);
     }
     
@@ -107,8 +336,15 @@ class StorageManager {
     saveState(state) {
         const data = this.load();
         if (state.stats) data.stats = state.stats;
-        if (state.weights) data.weights = state.weights;
+        if (state.radicals) data.radicals = state.radicals;
         if (state.practicedRadicals) data.practicedRadicals = state.practicedRadicals;
+        if (typeof state.practiceCounter === 'number') data.practiceCounter = state.practiceCounter;
+        if (state.attemptLog) data.attemptLog = state.attemptLog;
+        if (state.characters) data.characters = state.characters;
+        if (state.sessions) data.sessions = state.sessions;
+        if (state.leaderboard) data.leaderboard = state.leaderboard;
+        if (state.hints) data.hints = state.hints;
+        if (state.settings) data.settings = state.settings;
         return this.save(data);
     }
     
@@ -116,13 +352,13 @@ class StorageManager {
      * 清除所有数据
      */
     clear() {
-        try {
-            localStorage.removeItem(this.storageKey);
-            return true;
-        } catch (error) {
-            console.error('清除数据失败:', error);
-            return false;
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
         }
+        this.data = this.getDefaultData();
+        this.hasStoredData = false;
+        return this.enqueue(adapter => adapter.remove(this.storageKey), '清除数据失败:');
     }
     
     /**
@@ -133,15 +369,40 @@ class StorageManager {
     }
     
     /**
-     * 合并数据与默认值
+     * 按版本号逐级迁移旧数据
+     * 缺少版本号的数据视为 v1
      * @param {Object} data - 已存储的数据
      */
+    migrate(data) {
+        let version = data.version || 1;
+        while (version < STORAGE_VERSION) {
+            const step = MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`缺少 v${version} 的数据迁移`);
+            }
+            data = step(data);
+            version = data.version;
+        }
+        return data;
+    }
+    
+    /**
+     * 合并数据与默认值
+     * @param {Object} data - 已迁移到当前版本的数据
+     */
     mergeWithDefaults(data) {
         const defaults = this.getDefaultData();
         return {
             stats: { ...defaults.stats, ...data.stats },
-            weights: data.weights || defaults.weights,
+            radicals: data.radicals || defaults.radicals,
             practicedRadicals: data.practicedRadicals || defaults.practicedRadicals,
+            practiceCounter: typeof data.practiceCounter === 'number' ? data.practiceCounter : defaults.practiceCounter,
+            attemptLog: Array.isArray(data.attemptLog) ? data.attemptLog : defaults.attemptLog,
+            characters: { ...defaults.characters, ...data.characters },
+            sessions: Array.isArray(data.sessions) ? data.sessions : defaults.sessions,
+            leaderboard: data.leaderboard && typeof data.leaderboard === 'object' ? data.leaderboard : defaults.leaderboard,
+            hints: data.hints && typeof data.hints === 'object' ? data.hints : defaults.hints,
+            settings: { ...defaults.settings, ...data.settings },
             lastPracticeTime: data.lastPracticeTime || defaults.lastPracticeTime,
             version: data.version || defaults.version
         };
@@ -156,11 +417,11 @@ class StorageManager {
     }
     
     /**
-     * 获取字根权重
+     * 获取字根学习数据
      */
     getWeights() {
         const data = this.load();
-        return data.weights;
+        return data.radicals;
     }
     
     /**
@@ -175,11 +436,7 @@ class StorageManager {
      * 检查是否有存储数据
      */
     hasData() {
-        try {
-            return localStorage.getItem(this.storageKey) !== null;
-        } catch {
-            return false;
-        }
+        return this.hasStoredData;
     }
     
     /**
@@ -190,6 +447,249 @@ class StorageManager {
         return data.lastPracticeTime ? new Date(data.lastPracticeTime) : null;
     }
     
+    /**
+     * 获取当前字根方案ID
+     */
+    getActiveSchemeId() {
+        try {
+            return localStorage.getItem(this.getProfileKey(SCHEME_STORAGE_KEY));
+        } catch (error) {
+            console.warn('读取字根方案失败:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * 保存当前字根方案ID
+     * @param {string} schemeId - 方案ID
+     */
+    setActiveSchemeId(schemeId) {
+        try {
+            localStorage.setItem(this.getProfileKey(SCHEME_STORAGE_KEY), schemeId);
+            return true;
+        } catch (error) {
+            console.error('保存字根方案失败:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * 读取当前用户的界面偏好（字根图显示、练习模式等）
+     * @param {string} name - 偏好名，如 chart_visible
+     * @returns {string|null} 未设置或读取失败时为 null
+     */
+    getPreference(name) {
+        try {
+            return localStorage.getItem(this.getProfileKey(STORAGE_PREFIX + name));
+        } catch (error) {
+            console.warn(`读取偏好 ${name} 失败:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * 保存当前用户的界面偏好
+     * @param {string} name - 偏好名
+     * @param {string} value - 偏好值
+     */
+    setPreference(name, value) {
+        try {
+            localStorage.setItem(this.getProfileKey(STORAGE_PREFIX + name), value);
+            return true;
+        } catch (error) {
+            console.warn(`保存偏好 ${name} 失败:`, error);
+            return false;
+        }
+    }
+    
+    /**
+     * 读取用户列表（始终包含默认用户）
+     * @returns {Object} { active, profiles }，profiles 为 [{ id, name }]
+     */
+    loadProfiles() {
+        let state = null;
+        try {
+            state = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        } catch (error) {
+            console.warn('加载用户列表失败:', error);
+        }
+        
+        const profiles = Array.isArray(state?.profiles)
+            ? state.profiles.filter(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+            : [];
+        if (!profiles.some(p => p.id === DEFAULT_PROFILE_ID)) {
+            profiles.unshift({ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME });
+        }
+        
+        const active = profiles.some(p => p.id === state?.active) ? state.active : DEFAULT_PROFILE_ID;
+        return { active, profiles };
+    }
+    
+    /**
+     * 保存用户列表
+     * @param {Object} state - { active, profiles }
+     */
+    saveProfiles(state) {
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+            return true;
+        } catch (error) {
+            console.error('保存用户列表失败:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * 获取上次使用的用户ID
+     */
+    getActiveProfileId() {
+        return this.loadProfiles().active;
+    }
+    
+    /**
+     * 设置当前用户（新建的 StorageManager 实例生效，一般随后刷新页面）
+     * @param {string} profileId - 用户ID
+     */
+    setActiveProfileId(profileId) {
+        const state = this.loadProfiles();
+        if (!state.profiles.some(p => p.id === profileId)) return false;
+        return this.saveProfiles({ ...state, active: profileId });
+    }
+    
+    /**
+     * 校验用户名，不合法时抛出错误
+     * @param {string} name - 用户名
+     * @param {Array} profiles - 现有用户
+     * @param {string} [exceptId] - 重命名时排除的用户ID
+     * @returns {string} 去掉首尾空白后的用户名
+     */
+    validateProfileName(name, profiles, exceptId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('用户名不能为空');
+        }
+        if (trimmed.length > PROFILE_NAME_MAX_LENGTH) {
+            throw new Error(`用户名不能超过 ${PROFILE_NAME_MAX_LENGTH} 个字`);
+        }
+        if (profiles.some(p => p.name === trimmed && p.id !== exceptId)) {
+            throw new Error(`用户「${trimmed}」已存在`);
+        }
+        return trimmed;
+    }
+    
+    /**
+     * 新建用户，用户名不合法时抛出错误
+     * @param {string} name - 用户名
+     * @returns {Object} 新用户 { id, name }
+     */
+    createProfile(name) {
+        const state = this.loadProfiles();
+        const profile = {
+            id: `p-${Date.now().toString(36)}`,
+            name: this.validateProfileName(name, state.profiles)
+        };
+        state.profiles.push(profile);
+        this.saveProfiles(state);
+        return profile;
+    }
+    
+    /**
+     * 重命名用户，用户名不合法时抛出错误
+     * @param {string} profileId - 用户ID
+     * @param {string} name - 新用户名
+     */
+    renameProfile(profileId, name) {
+        const state = this.loadProfiles();
+        const profile = state.profiles.find(p => p.id === profileId);
+        if (!profile) return false;
+        
+        profile.name = this.validateProfileName(name, state.profiles, profileId);
+        return this.saveProfiles(state);
+    }
+    
+    /**
+     * 删除用户及其全部数据（默认用户不能删除）
+     * 删除的是当前用户时切回默认用户
+     * @param {string} profileId - 用户ID
+     * @returns {Promise<boolean>}
+     */
+    async deleteProfile(profileId) {
+        if (profileId === DEFAULT_PROFILE_ID) return false;
+        
+        if (this.adapter) {
+            if (profileId === this.profileId && this.saveTimer) {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+            }
+            await this.enqueue(adapter => adapter.remove(this.getProfileKey(STORAGE_KEY, profileId)), '删除用户数据失败:');
+        }
+        
+        const state = this.loadProfiles();
+        const profiles = state.profiles.filter(p => p.id !== profileId);
+        const active = state.active === profileId ? DEFAULT_PROFILE_ID : state.active;
+        
+        try {
+            const suffix = `:${profileId}`;
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(STORAGE_PREFIX) && key.endsWith(suffix)) {
+                    keys.push(key);
+                }
+            }
+            keys.forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error('删除用户数据失败:', error);
+        }
+        
+        return this.saveProfiles({ active, profiles });
+    }
+    
+    /**
+     * 获取导入的自定义字根方案列表
+     */
+    loadCustomSchemes() {
+        try {
+            const stored = localStorage.getItem(CUSTOM_SCHEMES_KEY);
+            const schemes = stored ? JSON.parse(stored) : [];
+            return Array.isArray(schemes) ? schemes : [];
+        } catch (error) {
+            console.warn('加载自定义字根方案失败:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * 保存（新增或覆盖）一个自定义字根方案
+     * @param {Object} scheme - 方案定义
+     */
+    saveCustomScheme(scheme) {
+        const schemes = this.loadCustomSchemes().filter(s => s.id !== scheme.id);
+        schemes.push(scheme);
+        try {
+            localStorage.setItem(CUSTOM_SCHEMES_KEY, JSON.stringify(schemes));
+            return true;
+        } catch (error) {
+            console.error('保存自定义字根方案失败:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * 删除一个自定义字根方案
+     * @param {string} schemeId - 方案ID
+     */
+    removeCustomScheme(schemeId) {
+        const schemes = this.loadCustomSchemes().filter(s => s.id !== schemeId);
+        try {
+            localStorage.setItem(CUSTOM_SCHEMES_KEY, JSON.stringify(schemes));
+            return true;
+        } catch (error) {
+            console.error('删除自定义字根方案失败:', error);
+            return false;
+        }
+    }
+    
     /**
      * 导出数据（用于备份）
      */
@@ -199,20 +699,186 @@ class StorageManager {
     }
     
     /**
-     * 导入数据（用于恢复）
+     * 校验备份数据的结构（迁移前的原始数据）
+     * @param {Object} data - 解析后的备份数据
+     * @returns {Array<string>} 错误信息列表，为空表示合法
+     */
+    validateBackup(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['备份内容必须是对象'];
+        }
+        
+        const errors = [];
+        const version = data.version || 1;
+        if (!Number.isInteger(version) || version < 1) {
+            errors.push(`版本号「${data.version}」无效`);
+        } else if (version > STORAGE_VERSION) {
+            errors.push(`备份来自更新的版本（v${version}），当前只支持到 v${STORAGE_VERSION}`);
+        }
+        
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        const radicals = version >= 2 ? data.radicals : data.weights;
+        const checks = [
+            ['stats', isObject],
+            [version >= 2 ? 'radicals' : 'weights', isObject],
+            ['practicedRadicals', Array.isArray],
+            ['attemptLog', Array.isArray],
+            ['sessions', Array.isArray],
+            ['leaderboard', isObject],
+            ['hints', isObject],
+            ['characters', isObject],
+            ['settings', isObject]
+        ];
+        for (const [field, check] of checks) {
+            if (data[field] !== undefined && !check(data[field])) {
+                errors.push(`字段 ${field} 的类型不正确`);
+            }
+        }
+        
+        if (isObject(data.stats)) {
+            for (const [field, value] of Object.entries(data.stats)) {
+                if (typeof value !== 'number' || value < 0) {
+                    errors.push(`统计项 stats.${field} 必须是非负数`);
+                }
+            }
+        }
+        
+        if (isObject(radicals)) {
+            const invalid = Object.entries(radicals)
+                .filter(([, value]) => typeof value !== 'number' && !isObject(value))
+                .map(([id]) => id);
+            if (invalid.length > 0) {
+                errors.push(`${invalid.length} 条字根记录格式不正确（如 ${invalid[0]}）`);
+            }
+        }
+        
+        if (Array.isArray(data.practicedRadicals) && data.practicedRadicals.some(id => typeof id !== 'string')) {
+            errors.push('practicedRadicals 只能包含字根ID字符串');
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * 解析备份文件内容：校验、迁移到当前版本并补全默认值
      * @param {string} jsonString - JSON 格式的数据字符串
+     * @returns {Object} { data, errors }，有错误时 data 为 null
      */
-    importData(jsonString) {
+    parseBackup(jsonString) {
+        let raw;
         try {
-            const data = JSON.parse(jsonString);
-            return this.save(this.mergeWithDefaults(data));
+            raw = JSON.parse(jsonString);
         } catch (error) {
-            console.error('导入数据失败:', error);
-            return false;
+            return { data: null, errors: [`不是有效的 JSON：${error.message}`] };
+        }
+        
+        const errors = this.validateBackup(raw);
+        if (errors.length > 0) {
+            return { data: null, errors };
+        }
+        
+        try {
+            return { data: this.mergeWithDefaults(this.migrate(raw)), errors: [] };
+        } catch (error) {
+            return { data: null, errors: [`数据迁移失败：${error.message}`] };
+        }
+    }
+    
+    /**
+     * 合并两份练习数据（用于多设备同步进度）
+     * - 字根记录：取最近练习过的一份，练习时间相同时取熟练度更高、练习次数更多的一份
+     * - 整字记录：取熟练度更高、练习次数更多的一份
+     * - 已练习列表取并集，尝试记录、会话和挑战成绩按时间去重合并
+     * - 统计计数取较大值，重复导入同一份备份不会重复累加
+     * - 自定义提示取并集，同一字根保留本机的
+     * - 练习设置保留本机的
+     * @param {Object} current - 本机数据
+     * @param {Object} incoming - 导入的数据
+     */
+    mergeData(current, incoming) {
+        const attempts = r => (r.correctCount || 0) + (r.wrongCount || 0);
+        const isStronger = (a, b) => (a.mastery || 0) - (b.mastery || 0) || attempts(a) - attempts(b);
+        const pickRadical = (a, b) => {
+            const diff = (a.lastPracticedAt || 0) - (b.lastPracticedAt || 0);
+            return (diff || isStronger(a, b)) >= 0 ? a : b;
+        };
+        const mergeRecords = (a, b, pick) => {
+            const merged = { ...a };
+            for (const [id, record] of Object.entries(b)) {
+                merged[id] = merged[id] ? pick(merged[id], record) : record;
+            }
+            return merged;
+        };
+        const mergeBy = (a, b, keyOf) => {
+            const map = new Map();
+            [...a, ...b].forEach(item => map.set(keyOf(item), item));
+            return Array.from(map.values());
+        };
+        const union = (a, b) => Array.from(new Set([...a, ...b]));
+        
+        const stats = { ...current.stats };
+        for (const [field, value] of Object.entries(incoming.stats)) {
+            stats[field] = Math.max(stats[field] || 0, value);
+        }
+        const practicedRadicals = union(current.practicedRadicals, incoming.practicedRadicals);
+        stats.practicedCount = practicedRadicals.length;
+        
+        const lastTimes = [current.lastPracticeTime, incoming.lastPracticeTime].filter(Boolean).sort();
+        
+        const leaderboard = { ...current.leaderboard };
+        for (const [key, board] of Object.entries(incoming.leaderboard)) {
+            leaderboard[key] = mergeBy(leaderboard[key] || [], board, entry => entry.at)
+                .sort((a, b) => b.score - a.score || a.at - b.at);
+        }
+        
+        return {
+            ...current,
+            stats,
+            radicals: mergeRecords(current.radicals, incoming.radicals, pickRadical),
+            practicedRadicals,
+            practiceCounter: Math.max(current.practiceCounter, incoming.practiceCounter),
+            attemptLog: mergeBy(current.attemptLog, incoming.attemptLog, e => `${e.id}|${e.at}|${e.correct}`)
+                .sort((a, b) => a.at - b.at),
+            characters: {
+                data: mergeRecords(current.characters.data || {}, incoming.characters.data || {},
+                    (a, b) => (isStronger(a, b) >= 0 ? a : b)),
+                practiced: union(current.characters.practiced || [], incoming.characters.practiced || [])
+            },
+            sessions: mergeBy(current.sessions, incoming.sessions, s => s.start)
+                .sort((a, b) => a.start - b.start),
+            leaderboard,
+            hints: { ...incoming.hints, ...current.hints },
+            lastPracticeTime: lastTimes[lastTimes.length - 1] || null
+        };
+    }
+    
+    /**
+     * 导入数据（用于恢复）
+     * @param {string} jsonString - JSON 格式的数据字符串
+     * @param {Object} [options] - { merge }，merge 为 true 时与本机数据合并，否则覆盖
+     * @returns {Promise<Object>} { success, errors }
+     */
+    async importData(jsonString, { merge = false } = {}) {
+        const { data, errors } = this.parseBackup(jsonString);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+        
+        // 读取失败时本次不写入存储，导入的数据刷新后就会丢失
+        if (this.hasLoadFailed()) {
+            return { success: false, errors: ['练习进度读取失败，本次无法写入存储，请刷新页面后重新导入'] };
+        }
+        
+        this.save(merge ? this.mergeData(this.load(), data) : data);
+        if (!(await this.flush())) {
+            return { success: false, errors: ['写入存储失败'] };
         }
+        return { success: true, errors: [] };
     }
 }
 
 // 导出（全局变量方式）
 window.StorageManager = StorageManager;
 window.STORAGE_KEY = STORAGE_KEY;
+window.STORAGE_VERSION = STORAGE_VERSION;
+window.DEFAULT_PROFILE_ID = DEFAULT_PROFILE_ID;
@@ -0,0 +1,96 @@
+/**
+ * 首右plus 配色主题与动画模块
+ * 主题颜色由 css/custom.css 中的 CSS 变量定义，这里只负责切换 <html> 的 data-theme
+ * 跟随系统时不设置 data-theme，由 prefers-color-scheme 媒体查询决定深浅色
+ * 减少动画时 <html> 带 reduce-motion 类，墨迹、抖动、连击等动画和过渡一律关闭
+ * 本文件在 <head> 中加载：主题和动画设置另存一份为用户偏好（同步读取），
+ * 加载时立即应用，不必等练习数据异步读入，避免首次绘制时闪现默认主题
+ */
+
+// 主题ID -> 显示名称
+const THEMES = {
+    auto: '跟随系统',
+    light: '浅色',
+    dark: '深色',
+    contrast: '高对比度'
+};
+
+// 默认主题（跟随系统）
+const DEFAULT_THEME = 'auto';
+
+// 动画设置ID -> 显示名称
+const MOTION_MODES = {
+    auto: '动画跟随系统',
+    reduce: '减少动画',
+    full: '完整动画'
+};
+
+// 默认动画设置（跟随系统的 prefers-reduced-motion）
+const DEFAULT_MOTION = 'auto';
+
+// 系统“减少动态效果”设置
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+
+// 当前动画设置（系统设置变化时按它重新计算）
+let activeMotion = DEFAULT_MOTION;
+
+/**
+ * 按当前主题的纸色更新浏览器地址栏颜色（meta theme-color）
+ */
+function updateThemeColor() {
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (!meta) return;
+
+    const rgb = getComputedStyle(document.documentElement).getPropertyValue('--paper-rice').trim();
+    if (rgb) {
+        meta.content = `rgb(${rgb.split(/\s+/).join(', ')})`;
+    }
+}
+
+/**
+ * 应用主题
+ * @param {string} themeId - 主题ID，未知的主题按默认主题处理
+ * @returns {string} 实际应用的主题ID
+ */
+function applyTheme(themeId) {
+    const id = THEMES[themeId] ? themeId : DEFAULT_THEME;
+    const root = document.documentElement;
+    if (id === DEFAULT_THEME) {
+        delete root.dataset.theme;
+    } else {
+        root.dataset.theme = id;
+    }
+    updateThemeColor();
+    return id;
+}
+
+/**
+ * 应用动画设置
+ * @param {string} motionId - 动画设置ID，未知的设置按默认处理
+ * @returns {string} 实际应用的动画设置ID
+ */
+function applyMotion(motionId) {
+    activeMotion = MOTION_MODES[motionId] ? motionId : DEFAULT_MOTION;
+    const reduce = activeMotion === 'reduce'
+        || (activeMotion === 'auto' && Boolean(reducedMotionQuery?.matches));
+    document.documentElement.classList.toggle('reduce-motion', reduce);
+    return activeMotion;
+}
+
+// 跟随系统时，系统深浅色变化后同步地址栏颜色
+window.matchMedia?.('(prefers-color-scheme: dark)').addEventListener?.('change', updateThemeColor);
+
+// 跟随系统时，系统的减少动态效果设置变化后立即生效
+reducedMotionQuery?.addEventListener?.('change', () => applyMotion(activeMotion));
+
+// 首次绘制前应用已保存的主题和动画设置（练习数据读入后由 PracticeApp 再次应用）
+applyTheme(new StorageManager().getPreference('theme'));
+applyMotion(new StorageManager().getPreference('motion'));
+
+// 导出（全局变量方式）
+window.THEMES = THEMES;
+window.DEFAULT_THEME = DEFAULT_THEME;
+window.applyTheme = applyTheme;
+window.MOTION_MODES = MOTION_MODES;
+window.DEFAULT_MOTION = DEFAULT_MOTION;
+window.applyMotion = applyMotion;
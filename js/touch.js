@@ -0,0 +1,130 @@
+/**
+ * 首右plus 触屏键盘模块
+ * 手机上没有实体键盘，系统软键盘的输入法组字、自动大写等行为又因设备而异
+ * 触屏模式下按方案生成可点击的 QWERTY 键盘，输入框只读、不再弹出软键盘
+ */
+
+// 按键判定反馈的显示时长（毫秒）
+const TOUCH_FEEDBACK_MS = 300;
+
+// 振动反馈：正确短振一次，错误振两次
+const TOUCH_VIBRATION = {
+    correct: 15,
+    wrong: [40, 60, 40]
+};
+
+class TouchKeyboard {
+    /**
+     * @param {HTMLElement} container - 键盘容器（#touch-keyboard）
+     * @param {Object} scheme - 字根方案定义
+     * @param {Object} handlers - { onKey(key), onReveal() }
+     */
+    constructor(container, scheme, handlers) {
+        this.container = container;
+        this.scheme = scheme;
+        this.handlers = handlers;
+
+        // 按键字符 -> 按键元素
+        this.keyElements = {};
+
+        // 最近一次点击的按键（用于显示判定反馈）
+        this.lastKey = null;
+
+        // 按键 -> 反馈清除定时器
+        this.feedbackTimers = {};
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => this.handleClick(e));
+        }
+    }
+
+    /**
+     * 生成键盘：字母按键按方案的键盘行排列，最后一行为“看答案”
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.keyElements = {};
+        this.scheme.rows.forEach((row, rowIndex) => {
+            const rowEl = document.createElement('div');
+            rowEl.className = `touch-row touch-row-letters touch-row-${rowIndex}`;
+            for (const key of row) {
+                if (!this.scheme.keys[key]) continue;
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'touch-key';
+                button.dataset.key = key;
+                button.textContent = key;
+                rowEl.appendChild(button);
+                this.keyElements[key] = button;
+            }
+            this.container.appendChild(rowEl);
+        });
+
+        const actionRow = document.createElement('div');
+        actionRow.className = 'touch-row';
+        actionRow.innerHTML = '<button type="button" class="touch-key touch-key-action" data-action="reveal">看答案</button>';
+        this.container.appendChild(actionRow);
+    }
+
+    /**
+     * 处理按键点击
+     */
+    handleClick(e) {
+        const button = e.target.closest('.touch-key');
+        if (!button) return;
+
+        if (button.dataset.action === 'reveal') {
+            this.handlers.onReveal();
+        } else if (button.dataset.key) {
+            this.lastKey = button.dataset.key;
+            this.handlers.onKey(button.dataset.key);
+        }
+    }
+
+    /**
+     * 在最近点击的按键上显示判定结果，并振动反馈
+     * @param {boolean} isCorrect - 是否答对
+     */
+    feedback(isCorrect) {
+        const key = this.lastKey;
+        this.lastKey = null;
+
+        navigator.vibrate?.(isCorrect ? TOUCH_VIBRATION.correct : TOUCH_VIBRATION.wrong);
+
+        const button = this.keyElements[key];
+        if (!button) return;
+
+        clearTimeout(this.feedbackTimers[key]);
+        button.classList.remove('touch-key-correct', 'touch-key-wrong');
+        button.classList.add(isCorrect ? 'touch-key-correct' : 'touch-key-wrong');
+        this.feedbackTimers[key] = setTimeout(() => {
+            button.classList.remove('touch-key-correct', 'touch-key-wrong');
+        }, TOUCH_FEEDBACK_MS);
+    }
+
+    /**
+     * 显示或隐藏字母按键（反向模式点选字根作答，只保留“看答案”）
+     * @param {boolean} visible - 是否显示
+     */
+    showLetters(visible) {
+        if (this.container) {
+            this.container.classList.toggle('letters-hidden', !visible);
+        }
+    }
+
+    /**
+     * 显示或隐藏整个键盘
+     * @param {boolean} visible - 是否显示
+     */
+    setVisible(visible) {
+        if (this.container) {
+            this.container.classList.toggle('hidden', !visible);
+        }
+    }
+}
+
+// 导出（全局变量方式）
+window.TouchKeyboard = TouchKeyboard;
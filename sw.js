@@ -0,0 +1,94 @@
+/**
+ * 首右plus Service Worker
+ * 安装时缓存应用外壳（页面、样式、脚本、字体、图标），之后离线也能打开练习
+ * 请求优先使用缓存，同时在后台从网络更新缓存，下次打开时生效
+ * 应用外壳文件有增删时需要同步修改 APP_SHELL 并更新 CACHE_VERSION
+ */
+
+// 缓存版本（修改后旧缓存会在激活时删除）
+const CACHE_VERSION = 'shouyou-plus-v6';
+
+// 应用外壳文件
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/tailwind.css',
+    'css/fonts.css',
+    'css/custom.css',
+    'fonts/noto-serif-sc-400.woff2',
+    'fonts/noto-serif-sc-600.woff2',
+    'fonts/noto-serif-sc-700.woff2',
+    'fonts/jetbrains-mono-400.woff2',
+    'fonts/jetbrains-mono-500.woff2',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'js/themes.js',
+    'js/storage-adapters.js',
+    'js/storage.js',
+    'js/schemes.js',
+    'js/importer.js',
+    'js/scheduler.js',
+    'js/radicals.js',
+    'js/scopes.js',
+    'js/lessons.js',
+    'js/curriculum.js',
+    'js/characters.js',
+    'js/hints.js',
+    'js/reverse.js',
+    'js/sessions.js',
+    'js/challenge.js',
+    'js/glyph-data.js',
+    'js/glyphs.js',
+    'js/chart.js',
+    'js/touch.js',
+    'js/audio.js',
+    'js/settings.js',
+    'js/practice.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_VERSION).then(async (cache) => {
+            // 页面导航统一使用缓存的 index.html
+            const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+            const cached = await cache.match(cacheKey, { ignoreSearch: true });
+
+            const network = fetch(request)
+                .then((response) => {
+                    if (response.ok) {
+                        cache.put(cacheKey, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cached || Response.error());
+
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            return network;
+        })
+    );
+});
@@ -0,0 +1,62 @@
+/**
+ * 首右plus Tailwind 配置
+ * 样式预先生成到 css/tailwind.css，页面不再依赖 Tailwind CDN
+ * 修改页面或脚本中的样式类后重新生成：
+ *     npx tailwindcss@3 -c tailwind.config.js -o css/tailwind.css --minify
+ */
+module.exports = {
+    content: ['./index.html', './js/**/*.js'],
+    theme: {
+        extend: {
+            // 颜色引用 css/custom.css 中的主题变量，切换主题时随之变化
+            colors: {
+                ink: {
+                    black: 'rgb(var(--ink-black) / <alpha-value>)',
+                    dark: 'rgb(var(--ink-dark) / <alpha-value>)',
+                    light: 'rgb(var(--ink-light) / <alpha-value>)',
+                    faint: 'rgb(var(--ink-faint) / <alpha-value>)',
+                },
+                paper: {
+                    rice: 'rgb(var(--paper-rice) / <alpha-value>)',
+                    plain: 'rgb(var(--paper-plain) / <alpha-value>)',
+                    warm: 'rgb(var(--paper-warm) / <alpha-value>)',
+                },
+                accent: {
+                    cinnabar: 'rgb(var(--accent-cinnabar) / <alpha-value>)',
+                    turquoise: 'rgb(var(--accent-turquoise) / <alpha-value>)',
+                    gamboge: 'rgb(var(--accent-gamboge) / <alpha-value>)',
+                }
+            },
+            fontFamily: {
+                'serif-sc': ['"Noto Serif SC"', 'serif'],
+                'sans-sc': ['"Noto Sans SC"', '"PingFang SC"', '"Microsoft YaHei"', 'sans-serif'],
+                'mono': ['"JetBrains Mono"', 'monospace'],
+            },
+            animation: {
+                'ink-spread': 'inkSpread 0.3s ease-out forwards',
+                'shake': 'shake 0.2s ease-in-out',
+                'pulse-gold': 'pulseGold 0.4s ease-out',
+                'fade-in': 'fadeIn 0.25s ease-out',
+            },
+            keyframes: {
+                inkSpread: {
+                    '0%': { transform: 'scale(0.8)', opacity: '0' },
+                    '100%': { transform: 'scale(1)', opacity: '1' },
+                },
+                shake: {
+                    '0%, 100%': { transform: 'translateX(0)' },
+                    '25%': { transform: 'translateX(-4px)' },
+                    '75%': { transform: 'translateX(4px)' },
+                },
+                pulseGold: {
+                    '0%': { boxShadow: '0 0 0 0 rgb(var(--accent-gamboge) / 0.7)' },
+                    '100%': { boxShadow: '0 0 0 20px rgb(var(--accent-gamboge) / 0)' },
+                },
+                fadeIn: {
+                    '0%': { opacity: '0', transform: 'translateY(10px)' },
+                    '100%': { opacity: '1', transform: 'translateY(0)' },
+                },
+            },
+        }
+    }
+};